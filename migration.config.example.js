@@ -0,0 +1,188 @@
+/**
+ * Example field mapping config.
+ *
+ * Copy this file to migration.config.js (or pass its path with --config)
+ * and change it to match your Contentful content model. Each entry type you
+ * include here replaces the default's `contentType` and/or `fields` as a
+ * whole, so list every field you want written. Entry types you leave out
+ * keep the defaults from migration.js.
+ *
+ * Each field is keyed by its Contentful field ID and needs:
+ *  - one source:
+ *      source: 'title.rendered'  path into the WordPress REST API object
+ *      acf: 'subtitle'           Advanced Custom Fields field (post.acf.subtitle)
+ *      yoast: 'description'      Yoast SEO field (post.yoast_head_json.description)
+ *      compute: (wpObject, helpers) => …  anything else; helpers has
+ *        largestAvatarUrl(user) and socialProfileUrls(user) (from Yoast)
+ *  - a type: Symbol, Text, RichText, Date, Integer, Number, Boolean, Link
+ *    or Array. Links need a linkType (Asset or Entry); entry links also need
+ *    linkTo ('author', 'tag', 'category' or a post type). An Array with a linkType is
+ *    an array of links, otherwise an array of Symbols. An array of entry
+ *    links can take a list of sources with a linkTo for each, e.g.
+ *    source: ['tags', 'categories'], linkTo: ['tag', 'category'].
+ *
+ * By default tags and categories get content types of their own, with a
+ * slug and description (and for categories, a link to their parent), and
+ * posts link them through separate fields. Authors get their slug, bio,
+ * website, author page, largest avatar and social links.
+ *
+ * `concurrency` is how many Contentful requests run at once (default: 4).
+ * `retries` is how often a WordPress request or download that times out or
+ * fails with a dropped connection, 429 or 5xx is retried (default: 3), and
+ * `timeout` how many milliseconds it may wait for data (default: 30000).
+ *
+ * `postTypes` lists the WordPress post types to migrate (default: posts
+ * only). Pages have a default mapping; custom post types need their own,
+ * keyed by their WordPress slug. Entry links can also point at any of them
+ * (linkTo: 'page').
+ *
+ * `internalLinkUrl` points links to other posts at the new site, e.g.
+ * 'https://www.example.com/{type}/{slug}/' (placeholders: slug, id, type,
+ * year, month, day). Without it they become entry hyperlinks.
+ *
+ * `existingEntries` decides what happens when an author, tag or category
+ * already exists in Contentful with the same `match` field value: 'create'
+ * our own anyway (default), 'reuse' it, or 'fail' before creating anything.
+ *
+ * `figures` turns images with a caption, click-through link or alignment
+ * into entries of an "image with caption" content type, embedded in the
+ * Rich Text. `fields` maps image (asset link), caption, link and alignment
+ * to its field IDs. Without it, the caption and link become a paragraph
+ * under the image.
+ *
+ * `embeds` does the same for oEmbeds: YouTube and Vimeo videos (`video`)
+ * and tweets and Instagram posts (`social`), each with its own content type
+ * and provider, url and title fields. Without it, they become a link.
+ *
+ * `galleries` turns gallery blocks and [gallery] shortcodes into one entry
+ * each, with its images (asset links, in order), their captions (a list
+ * lined up with the images) and the gallery's own caption. Without it, the
+ * images are embedded one after another.
+ *
+ * `locale` sets the Contentful locale to write to (default: the space's
+ * default locale). `translations` maps WPML/Polylang languages to extra
+ * Contentful locales; translated posts fill the localized fields of their
+ * original's entry.
+ */
+module.exports = {
+  locale: 'en-US',
+  translations: {
+    defaultLanguage: 'en',
+    locales: { de: 'de-DE' },
+  },
+  existingEntries: {
+    policy: 'reuse',
+    match: { author: 'fullName', tag: 'slug', category: 'slug' },
+  },
+  concurrency: 4,
+  retries: 3,
+  timeout: 30000,
+  postTypes: ['post', 'page', 'case-study'],
+  figures: {
+    contentType: 'imageWithCaption',
+    fields: {
+      image: 'image',
+      caption: 'caption',
+      link: 'link',
+      alignment: 'alignment',
+    },
+  },
+  galleries: {
+    contentType: 'gallery',
+    fields: { images: 'images', captions: 'captions', caption: 'caption' },
+  },
+  embeds: {
+    video: {
+      contentType: 'videoEmbed',
+      fields: { provider: 'provider', url: 'url', title: 'title' },
+    },
+    social: {
+      contentType: 'socialEmbed',
+      fields: { provider: 'provider', url: 'url' },
+    },
+  },
+  post: {
+    contentType: 'blogPost',
+    fields: {
+      title: { source: 'title.rendered', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      subtitle: { acf: 'subtitle', type: 'Symbol' },
+      body: { source: 'content.rendered', type: 'RichText' },
+      excerpt: {
+        compute: (post) => post.excerpt.rendered.replace(/<[^>]+>/g, '').trim(),
+        type: 'Text',
+      },
+      publishDate: { source: 'date_gmt', type: 'Date' },
+      heroImage: { source: 'featured_media', type: 'Link', linkType: 'Asset' },
+      author: {
+        source: 'author',
+        type: 'Link',
+        linkType: 'Entry',
+        linkTo: 'author',
+      },
+      tags: {
+        source: 'tags',
+        type: 'Array',
+        linkType: 'Entry',
+        linkTo: 'tag',
+      },
+      categories: {
+        source: 'categories',
+        type: 'Array',
+        linkType: 'Entry',
+        linkTo: 'category',
+      },
+      metaDescription: { yoast: 'description', type: 'Symbol' },
+    },
+  },
+  'case-study': {
+    contentType: 'caseStudy',
+    fields: {
+      title: { source: 'title.rendered', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      client: { acf: 'client', type: 'Symbol' },
+      body: { source: 'content.rendered', type: 'RichText' },
+      heroImage: { source: 'featured_media', type: 'Link', linkType: 'Asset' },
+    },
+  },
+  author: {
+    contentType: 'person',
+    fields: {
+      fullName: { source: 'name', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      bio: { source: 'description', type: 'Text' },
+      website: { source: 'url', type: 'Symbol' },
+      // Asset links on authors can take an image URL, which is uploaded
+      photo: {
+        compute: (user, { largestAvatarUrl }) => largestAvatarUrl(user),
+        type: 'Link',
+        linkType: 'Asset',
+      },
+      socialLinks: {
+        compute: (user, { socialProfileUrls }) => socialProfileUrls(user),
+        type: 'Array',
+      },
+    },
+  },
+  tag: {
+    contentType: 'tag',
+    fields: {
+      name: { source: 'name', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+    },
+  },
+  category: {
+    contentType: 'category',
+    fields: {
+      name: { source: 'name', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      description: { source: 'description', type: 'Text' },
+      parent: {
+        source: 'parent',
+        type: 'Link',
+        linkType: 'Entry',
+        linkTo: 'category',
+      },
+    },
+  },
+};
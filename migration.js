@@ -1,13 +1,17 @@
+#!/usr/bin/env node
 require('dotenv').config();
 const contentful = require('contentful-management');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { pipeline } = require('stream/promises');
 const TurndownService = require('turndown');
 const { richTextFromMarkdown } = require('@contentful/rich-text-from-markdown');
 
 // Create a temporary directory for downloaded images
-const TEMP_IMAGE_DIR = path.join(__dirname, 'temp_images');
+const TEMP_IMAGE_DIR = path.join(process.cwd(), 'temp_images');
 if (!fs.existsSync(TEMP_IMAGE_DIR)) {
   fs.mkdirSync(TEMP_IMAGE_DIR, { recursive: true });
 }
@@ -18,16 +22,78 @@ if (!fs.existsSync(TEMP_IMAGE_DIR)) {
  */
 
 /**
- * TEST MODE: Set to a number to limit how many posts to process (e.g., 2 for testing)
- * Set to null or 0 to process ALL posts
+ * Phases of the migration, in the order `migrate` runs them.
+ * Each one can also be run on its own as a subcommand.
  */
-const TEST_LIMIT = 50; // Change this to null when you want to do the full import
+const PHASES = ['fetch', 'validate', 'assets', 'authors', 'tags', 'posts'];
+
+/**
+ * Command line usage, printed by --help.
+ */
+const usage = `Usage: wp-to-contentful <command> [options]
+
+Commands:
+  migrate         Run every phase in order (default)
+  fetch           Fetch WordPress data and cache it in wpPosts.json
+  validate        Check the mapped data against the Contentful content model
+  assets          Download images and create Contentful assets
+  authors         Create Contentful author entries
+  tags            Create Contentful tag and category entries
+  posts           Create Contentful entries for posts, pages and any
+                  other post types in the config
+
+Every command except fetch and migrate works from the cached wpPosts.json,
+and links to assets, authors and tags recorded in migration-state.jsonl.
+
+Options:
+  --limit <n>           Only migrate the first n posts
+  --only-slugs <a,b>    Only migrate posts with these slugs
+  --since <date>        Only migrate posts published on or after this date
+  --phase <phase>       With migrate: start at this phase (validate, assets,
+                        authors, tags or posts), using wpPosts.json instead
+                        of fetching
+  --skip-validation     With migrate: carry on even if validation finds
+                        problems
+  --resume              Skip anything already published according to
+                        migration-state.jsonl
+  --dry-run             Build every entry and asset but write the payloads
+                        to a local directory instead of Contentful
+  --dry-run-dir <dir>   Where --dry-run writes payloads (default: dry-run)
+  --config <file>       Field mapping config (default: migration.config.js
+                        in the current directory, if there is one)
+  --locale <code>       Contentful locale to write to (default: the space's
+                        default locale)
+  --concurrency <n>     Contentful requests to run at once (default: 4)
+  --retries <n>         Times to retry a WordPress request or download that
+                        fails with a timeout, dropped connection, 429 or
+                        5xx (default: 3)
+  --timeout <ms>        How long a WordPress request or download may wait
+                        for data before it times out (default: 30000)
+  -h, --help            Show this help`;
+
+/**
+ * Options passed on the command line, see usage above.
+ */
+const cliOptions = parseCliArguments(process.argv.slice(2));
 
 /**
  * Main WordPress endpoint - loaded from environment variables
  */
 const wpEndpoint = process.env.WP_ENDPOINT;
 
+/**
+ * WordPress user and application password - optional. With them, posts are
+ * fetched with context=edit, which adds their raw Gutenberg block markup
+ * (content.raw) for block-aware conversion.
+ */
+const wpAuth =
+  process.env.WP_USERNAME && process.env.WP_APPLICATION_PASSWORD
+    ? {
+        username: process.env.WP_USERNAME,
+        password: process.env.WP_APPLICATION_PASSWORD,
+      }
+    : null;
+
 /**
  * API Endpoints that we'd like to receive data from
  * (e.g. /wp-json/wp/v2/${key})
@@ -51,11 +117,308 @@ const ctfData = {
 Object.freeze(ctfData);
 
 /**
- * Creation of Contentful Client
+ * How WordPress data maps onto the Contentful content model.
+ * Override any of these with a config file (see migration.config.example.js).
+ *
+ * For each type of entry we create, `contentType` is the Contentful content
+ * type ID and `fields` maps each Contentful field ID to:
+ *  - where its value comes from, one of:
+ *      source: 'title.rendered'  (path into the WordPress REST object)
+ *      acf: 'subtitle'           (Advanced Custom Fields field)
+ *      yoast: 'description'      (Yoast SEO yoast_head_json field)
+ *      compute: (wpObject, helpers) => ...  (helpers: largestAvatarUrl and
+ *        socialProfileUrls, each given a WordPress user)
+ *  - its type: Symbol, Text, RichText, Date, Integer, Number, Boolean,
+ *    Link or Array. Links need a `linkType` (Asset or Entry); asset links
+ *    take a media ID, or for authors the URL of an image to upload. Entry
+ *    links need `linkTo`: the entry type they point to ('author', 'tag',
+ *    'category' or a post type such as 'page'). An Array with a `linkType` is an array
+ *    of links, otherwise an array of Symbols. An Array of entry links can
+ *    also take several `source`s, each linking to the `linkTo` in the same
+ *    place, e.g. tags and categories in one field.
+ *
+ * `post` and `page` are WordPress post types. Pages are only migrated if
+ * the config lists them in `postTypes`, as are custom post types, which
+ * need a mapping of their own keyed by their WordPress slug.
  */
-const ctfClient = contentful.createClient({
-  accessToken: ctfData.accessToken,
-});
+const defaultMapping = {
+  post: {
+    contentType: 'pageBlogPost',
+    fields: {
+      internalName: { source: 'title.rendered', type: 'Symbol' },
+      title: { source: 'title.rendered', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      content: { source: 'content.rendered', type: 'RichText' },
+      publishedDate: { source: 'date_gmt', type: 'Date' },
+      featuredImage: {
+        source: 'featured_media',
+        type: 'Link',
+        linkType: 'Asset',
+      },
+      author: {
+        source: 'author',
+        type: 'Link',
+        linkType: 'Entry',
+        linkTo: 'author',
+      },
+      seoTitle: {
+        compute: (post) => post.yoast_head_json?.title || post.title.rendered,
+        type: 'Symbol',
+      },
+      seoDescription: {
+        compute: (post) => post.yoast_head_json?.description || '',
+        type: 'Symbol',
+      },
+      tags: {
+        source: 'tags',
+        type: 'Array',
+        linkType: 'Entry',
+        linkTo: 'tag',
+      },
+      categories: {
+        source: 'categories',
+        type: 'Array',
+        linkType: 'Entry',
+        linkTo: 'category',
+      },
+    },
+  },
+  page: {
+    contentType: 'page',
+    fields: {
+      internalName: { source: 'title.rendered', type: 'Symbol' },
+      title: { source: 'title.rendered', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      content: { source: 'content.rendered', type: 'RichText' },
+      parentPage: {
+        source: 'parent',
+        type: 'Link',
+        linkType: 'Entry',
+        linkTo: 'page',
+      },
+      menuOrder: { source: 'menu_order', type: 'Integer' },
+    },
+  },
+  author: {
+    contentType: 'author',
+    fields: {
+      name: { source: 'name', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      bio: { source: 'description', type: 'Text' },
+      website: { source: 'url', type: 'Symbol' },
+      profileUrl: { source: 'link', type: 'Symbol' },
+      // An avatar URL rather than a media ID: it's uploaded as an asset
+      avatar: {
+        compute: (user, helpers) => helpers.largestAvatarUrl(user),
+        type: 'Link',
+        linkType: 'Asset',
+      },
+      socialLinks: {
+        compute: (user, helpers) => helpers.socialProfileUrls(user),
+        type: 'Array',
+      },
+    },
+  },
+  tag: {
+    contentType: 'tag',
+    fields: {
+      name: { source: 'name', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      description: { source: 'description', type: 'Text' },
+    },
+  },
+  category: {
+    contentType: 'category',
+    fields: {
+      name: { source: 'name', type: 'Symbol' },
+      slug: { source: 'slug', type: 'Symbol' },
+      description: { source: 'description', type: 'Text' },
+      parentCategory: {
+        source: 'parent',
+        type: 'Link',
+        linkType: 'Entry',
+        linkTo: 'category',
+      },
+    },
+  },
+};
+
+/**
+ * WordPress taxonomies we migrate, keyed by entry type, with the name of
+ * their REST endpoint (which is also the post field listing a post's terms).
+ * Tags and categories have separate ID spaces, so each gets its own
+ * content type and Contentful IDs.
+ */
+const TAXONOMIES = {
+  tag: 'tags',
+  category: 'categories',
+};
+
+/**
+ * Passed to `compute` functions in the mapping, for values that take more
+ * than a path to read.
+ */
+const COMPUTE_HELPERS = {
+  largestAvatarUrl: (user) => getLargestAvatarUrl(user),
+  socialProfileUrls: (user) => getSocialProfileUrls(user),
+};
+
+/**
+ * Policies for authors, tags and categories that already exist in
+ * Contentful, see existingEntries.
+ */
+const EXISTING_ENTRY_POLICIES = ['create', 'reuse', 'fail'];
+
+/**
+ * Field types we know how to write.
+ */
+const FIELD_TYPES = [
+  'Symbol',
+  'Text',
+  'RichText',
+  'Date',
+  'Integer',
+  'Number',
+  'Boolean',
+  'Link',
+  'Array',
+];
+
+/**
+ * Contents of the config file (see migration.config.example.js), or an
+ * empty object if there isn't one.
+ */
+const migrationConfig = loadConfig();
+
+/**
+ * WordPress post types to migrate (e.g. ['post', 'page', 'case-study']),
+ * each of which has a mapping of its own.
+ */
+const postTypes = migrationConfig.postTypes || ['post'];
+
+/**
+ * The mapping in use: defaultMapping plus anything from the config file,
+ * for the post types being migrated, authors and tags.
+ */
+const mapping = getMapping(migrationConfig);
+
+/**
+ * What to do about authors, tags and categories that already exist in
+ * Contentful (e.g. an "Editorial Team" author made by hand), found by the
+ * field `match` names for each: 'create' our own entry anyway (default),
+ * 'reuse' the existing one, or 'fail' before creating anything.
+ */
+const existingEntries = getExistingEntriesPolicy(migrationConfig);
+
+/**
+ * Contentful locale every field is written to. Comes from --locale,
+ * CONTENTFUL_LOCALE or the config, otherwise it's looked up as the space's
+ * default locale when we first connect to Contentful.
+ */
+let ctfLocale =
+  cliOptions.locale ||
+  process.env.CONTENTFUL_LOCALE ||
+  migrationConfig.locale ||
+  null;
+
+/**
+ * Links in post content to other WordPress posts become entry hyperlinks to
+ * the migrated entry, unless this URL pattern is set in the config, e.g.
+ * 'https://www.example.com/{type}/{slug}/', in which case they're pointed
+ * at the new site instead.
+ */
+const internalLinkUrl = migrationConfig.internalLinkUrl || null;
+if (internalLinkUrl !== null && typeof internalLinkUrl !== 'string') {
+  exitWithError(`internalLinkUrl in the config must be a URL pattern`);
+}
+
+/**
+ * Content type (and its field IDs) that figures - images with a caption or
+ * a click-through link - are migrated to as embedded entries. Without it,
+ * the caption and link become a paragraph under the embedded image.
+ */
+const figureSettings = migrationConfig.figures || null;
+if (
+  figureSettings &&
+  (!figureSettings.contentType || !figureSettings.fields?.image)
+) {
+  exitWithError(`figures in the config needs a contentType and fields.image`);
+}
+
+/**
+ * Content type (and its field IDs) that galleries are migrated to as
+ * embedded entries. Without it, a gallery becomes a run of images.
+ */
+const gallerySettings = migrationConfig.galleries || null;
+if (
+  gallerySettings &&
+  (!gallerySettings.contentType || !gallerySettings.fields?.images)
+) {
+  exitWithError(
+    `galleries in the config needs a contentType and fields.images`
+  );
+}
+
+/**
+ * Content types (and their field IDs) that video embeds (YouTube, Vimeo)
+ * and social embeds (Twitter, Instagram) are migrated to as embedded
+ * entries, keyed by kind. Embeds of a kind without one become a link.
+ */
+const embedSettings = migrationConfig.embeds || {};
+for (const [kind, settings] of Object.entries(embedSettings)) {
+  if (!['video', 'social'].includes(kind)) {
+    exitWithError(`embeds in the config can only have video and social`);
+  }
+  if (!settings.contentType || !settings.fields?.url) {
+    exitWithError(
+      `embeds.${kind} in the config needs a contentType and fields.url`
+    );
+  }
+}
+
+/**
+ * How many Contentful requests (and the downloads feeding them) run at
+ * once. Comes from --concurrency or the config.
+ */
+const concurrency = cliOptions.concurrency || migrationConfig.concurrency || 4;
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  exitWithError(`concurrency in the config must be a positive whole number`);
+}
+
+/**
+ * How often a failed WordPress request or download is retried, and how
+ * long (in ms) it may wait for data. Come from --retries / --timeout or
+ * the config.
+ */
+const wpRetries = cliOptions.retries ?? migrationConfig.retries ?? 3;
+if (!Number.isInteger(wpRetries) || wpRetries < 0) {
+  exitWithError(`retries in the config must be a whole number`);
+}
+
+const wpTimeout = cliOptions.timeout || migrationConfig.timeout || 30000;
+if (!Number.isInteger(wpTimeout) || wpTimeout < 1) {
+  exitWithError(`timeout in the config must be a positive whole number`);
+}
+
+/**
+ * Contentful Client, created when the first phase that needs it runs
+ * (so `fetch` and `--help` work without Contentful credentials).
+ */
+let ctfClient = null;
+
+/**
+ * Migration state ledger. Every WordPress object that makes it into
+ * Contentful is appended here as it happens, so a run that dies halfway
+ * can be picked up again with `node migration.js --resume`.
+ */
+const STATE_FILE = path.join(process.cwd(), 'migration-state.jsonl');
+
+/**
+ * Per-post outcome of the posts phase, written as JSON for tooling and as
+ * HTML for whoever signs the migration off.
+ */
+const REPORT_JSON_FILE = path.join(process.cwd(), 'migration-report.json');
+const REPORT_HTML_FILE = path.join(process.cwd(), 'migration-report.html');
 
 /**
  * Internal: log output separator for terminal.
@@ -67,11 +430,22 @@ const logSeparator = `-------`;
  */
 let apiData = {};
 
+/**
+ * Mapped posts left after applying --limit, --only-slugs and --since.
+ */
+let postsToMigrate = [];
+
 /**
  * Object to store Contentful Data in.
  */
 let contentfulData = [];
 
+/**
+ * Existing authors, tags and categories to link to instead of creating our
+ * own (see existingEntries): entry type => Map of WordPress ID => entry ID.
+ */
+let reusableEntries = {};
+
 /**
  * Markdown / Content conversion functions.
  */
@@ -117,248 +491,4660 @@ turndownService.addRule('replaceWordPressImages', {
   replacement: function (content, node, options) {
     const src = node.getAttribute('src');
     const alt = node.getAttribute('alt') || '';
-    const fileName = src.split('/').pop();
+    const fileName = getUrlFileName(src);
 
     // Use a text placeholder that will survive markdown-to-richtext conversion
-    // We'll search for this exact pattern and replace it with embedded assets
-    return `\n\n[CONTENTFUL_IMAGE:${fileName}]\n\n`;
+    // We'll search for this exact pattern and replace it with embedded assets.
+    // It stays inline, so the Markdown around it (lists, links, bold) is
+    // intact; embedAssetsInRichText() splits the paragraph around it.
+    return getImagePlaceholder(fileName, {
+      alt: alt,
+      src: src,
+      mediaId: getImageNodeMediaId(node),
+    });
   },
 });
 
 /**
- * Process Rich Text document to replace image references with embedded assets
- * @param {Object} richTextDoc - The Rich Text document from richTextFromMarkdown
- * @param {Array} assets - Array of Contentful assets with their IDs and filenames
- * @returns {Object} - Modified Rich Text document with embedded assets
+ * Convert figures (<figure>, or <div class="wp-caption"> from the classic
+ * editor) and images wrapped in a link to the same placeholder, keeping
+ * their caption, click-through link and alignment in it.
  */
-function embedAssetsInRichText(richTextDoc, assets) {
-  if (!richTextDoc || !richTextDoc.content) {
-    return richTextDoc;
-  }
+turndownService.addRule('replaceWordPressFigures', {
+  filter: function (node) {
+    const className = node.getAttribute('class') || '';
+    const isFigure =
+      node.nodeName === 'FIGURE' ||
+      (node.nodeName === 'DIV' && /\bwp-caption\b/.test(className));
+    const isLinkedImage =
+      node.nodeName === 'A' && node.textContent.trim() === '';
 
-  // If assets array is empty, just return the document as-is
-  if (!assets || assets.length === 0) {
-    console.warn('⚠ No assets available for embedding in Rich Text');
-    return richTextDoc;
-  }
+    return (
+      (isFigure || isLinkedImage) && node.querySelectorAll('img').length === 1
+    );
+  },
+  replacement: function (content, node) {
+    const image = node.querySelector('img');
+    const src = image.getAttribute('src');
+    const link = image.parentNode.nodeName === 'A' ? image.parentNode : null;
+    const isFigure = node.nodeName !== 'A';
+    const captionNode = node.querySelector('figcaption, .wp-caption-text');
+    const alignment = `${node.getAttribute('class') || ''} ${
+      image.getAttribute('class') || ''
+    }`.match(/\balign(left|right|center|wide|full)\b/);
+
+    // "Link to media file" just links to the image we're embedding
+    let href = link ? link.getAttribute('href') : null;
+    if (href && normalizeUploadUrl(href) === normalizeUploadUrl(src)) {
+      href = null;
+    }
 
-  const newContent = [];
-  let imageMarkerCount = 0;
-
-  for (const node of richTextDoc.content) {
-    // Check if this is a paragraph containing our image placeholder text
-    if (node.nodeType === 'paragraph' && node.content) {
-      let hasImagePlaceholder = false;
-      let fileName = null;
-
-      // Look for text nodes containing our placeholder pattern
-      for (const childNode of node.content) {
-        if (childNode.nodeType === 'text' && childNode.value) {
-          // Check for [CONTENTFUL_IMAGE:filename] pattern
-          const match = childNode.value.match(/\[CONTENTFUL_IMAGE:([^\]]+)\]/);
-          if (match) {
-            hasImagePlaceholder = true;
-            fileName = match[1];
-            imageMarkerCount++;
-            break;
-          }
-        }
-      }
+    const placeholder = getImagePlaceholder(getUrlFileName(src), {
+      alt: image.getAttribute('alt'),
+      caption: captionNode
+        ? captionNode.textContent.replace(/\s+/g, ' ').trim()
+        : null,
+      link: href,
+      alignment: alignment ? alignment[1] : null,
+      src: src,
+      mediaId: getImageNodeMediaId(image),
+    });
 
-      // If we found an image placeholder, replace the paragraph with an embedded asset block
-      if (hasImagePlaceholder && fileName) {
-        const asset = assets.find((a) => a.fileName === fileName);
+    // Like plain images, linked images can sit in the middle of a paragraph
+    return isFigure ? `\n\n${placeholder}\n\n` : placeholder;
+  },
+});
 
-        if (asset) {
-          // Create an embedded asset block
-          newContent.push({
-            nodeType: 'embedded-asset-block',
-            data: {
-              target: {
-                sys: {
-                  type: 'Link',
-                  linkType: 'Asset',
-                  id: asset.assetId,
-                },
-              },
-            },
-            content: [],
-          });
-          continue; // Skip adding the original paragraph
-        } else {
-          console.warn(`⚠ Could not find asset for inline image: ${fileName}`);
-          console.warn(
-            `  Available assets: ${assets
-              .slice(0, 5)
-              .map((a) => a.fileName)
-              .join(', ')}...`
-          );
-        }
-      }
+/**
+ * Convert oEmbeds - embed blocks, and YouTube or Vimeo iframes, tweets and
+ * Instagram posts pasted into the classic editor - to a placeholder we
+ * replace with an embedded entry after converting to Rich Text.
+ */
+turndownService.addRule('replaceWordPressEmbeds', {
+  filter: function (node) {
+    return getEmbedFromHtml(node) !== null;
+  },
+  replacement: function (content, node) {
+    return `\n\n${getBlockPlaceholder('EMBED', getEmbedFromHtml(node))}\n\n`;
+  },
+});
+
+/**
+ * Convert galleries (gallery blocks, and [gallery] shortcodes as WordPress
+ * renders them) to a single placeholder holding all their images, so they
+ * can become one gallery entry.
+ */
+turndownService.addRule('replaceWordPressGalleries', {
+  filter: function (node) {
+    const className = node.getAttribute('class') || '';
+    return (
+      /(^|\s)(wp-block-gallery|gallery)(\s|$)/.test(className) &&
+      node.querySelector('img') !== null
+    );
+  },
+  replacement: function (content, node) {
+    return `\n\n${getBlockPlaceholder(
+      'GALLERY',
+      getGalleryFromHtml(node)
+    )}\n\n`;
+  },
+});
+
+/**
+ * Convert video and audio players to the same placeholder as images, so
+ * they become embedded assets too. Players whose file isn't in the
+ * WordPress uploads directory become a plain link to it instead.
+ */
+turndownService.addRule('replaceWordPressMedia', {
+  filter: ['video', 'audio'],
+  replacement: function (content, node, options) {
+    const sourceNode = node.querySelector('source[src]');
+    const src =
+      node.getAttribute('src') ||
+      (sourceNode ? sourceNode.getAttribute('src') : null);
+
+    if (!src) {
+      return '';
     }
 
-    // If it's not an image paragraph, or we couldn't convert it, keep the original node
-    // But recursively process any nested content
-    if (node.content && Array.isArray(node.content)) {
-      node.content = embedAssetsInRichText(
-        { content: node.content },
-        assets
-      ).content;
+    if (!isUploadsUrl(src)) {
+      return `\n\n[${src}](${src})\n\n`;
     }
 
-    newContent.push(node);
-  }
+    const fileName = getUrlFileName(src);
+    return `\n\n${getImagePlaceholder(fileName, { src: src })}\n\n`;
+  },
+});
 
-  if (imageMarkerCount > 0) {
-    console.log(`  ✓ Embedded ${imageMarkerCount} inline images in Rich Text`);
-  }
+/**
+ * Read a gallery's images, in order, with their captions, and its own
+ * caption. Each image's caption is in the item (figure, li or dl) that
+ * holds it.
+ * @param {Object} node - DOM node from Turndown
+ * @returns {Object} - { images: [{ fileName, alt, caption, mediaId }], caption }
+ */
+function getGalleryFromHtml(node) {
+  const images = Array.from(node.querySelectorAll('img')).map((img) => {
+    let item = img;
+    while (
+      item.parentNode !== node &&
+      !['FIGURE', 'LI', 'DL'].includes(item.nodeName)
+    ) {
+      item = item.parentNode;
+    }
 
-  return { ...richTextDoc, content: newContent };
+    const captionNode = item.querySelector(
+      'figcaption, .gallery-caption, .wp-caption-text'
+    );
+    return {
+      fileName: getUrlFileName(img.getAttribute('src') || ''),
+      src: img.getAttribute('src') || null,
+      alt: img.getAttribute('alt') || null,
+      caption: captionNode
+        ? captionNode.textContent.replace(/\s+/g, ' ').trim() || null
+        : null,
+      mediaId: getImageNodeMediaId(img),
+    };
+  });
+
+  const captionNode = Array.from(node.childNodes).find(
+    (child) => child.nodeName === 'FIGCAPTION'
+  );
+
+  return {
+    images: images,
+    caption: captionNode
+      ? captionNode.textContent.replace(/\s+/g, ' ').trim() || null
+      : null,
+  };
 }
 
 /**
- * Main Migration Script.
- * -----------------------------------------------------------------------------
+ * Get the media library ID of an image from its wp-image-123 class, or the
+ * data-id gallery blocks give it, so it can be matched to its asset even
+ * if the file was renamed.
+ * @param {Object} img - img DOM node from Turndown
+ * @returns {Number|null}
  */
+function getImageNodeMediaId(img) {
+  const match = (img.getAttribute('class') || '').match(/\bwp-image-(\d+)\b/);
+  return parseInt(match ? match[1] : img.getAttribute('data-id'), 10) || null;
+}
 
-function migrateContent() {
-  let promises = [];
+/**
+ * Providers we recognise oEmbeds of, and whether they're a video or a
+ * social embed.
+ */
+const EMBED_PROVIDERS = [
+  {
+    name: 'youtube',
+    kind: 'video',
+    pattern:
+      /^https?:\/\/([a-z]+\.)?(youtube\.com|youtu\.be|youtube-nocookie\.com)\//i,
+  },
+  {
+    name: 'vimeo',
+    kind: 'video',
+    pattern: /^https?:\/\/([a-z]+\.)?vimeo\.com\//i,
+  },
+  {
+    name: 'twitter',
+    kind: 'social',
+    pattern: /^https?:\/\/([a-z]+\.)?(twitter\.com|x\.com)\//i,
+  },
+  {
+    name: 'instagram',
+    kind: 'social',
+    pattern: /^https?:\/\/([a-z]+\.)?(instagram\.com|instagr\.am)\//i,
+  },
+];
 
-  console.log(logSeparator);
-  console.log(`Getting WordPress API data`);
-  console.log(logSeparator);
+/**
+ * Work out what an HTML element embeds, if it's an oEmbed.
+ * @param {Object} node - DOM node from Turndown
+ * @returns {Object|null} - { provider, kind, url, title }, see getEmbed()
+ */
+function getEmbedFromHtml(node) {
+  const className = node.getAttribute('class') || '';
+  const iframe =
+    node.nodeName === 'IFRAME' ? node : node.querySelector('iframe[src]');
+  const isEmbedBlock =
+    node.nodeName === 'FIGURE' && /\bwp-block-embed\b/.test(className);
+
+  // Tweets and Instagram posts are a blockquote plus the provider's script.
+  // Other blockquotes are quotes, even if they link to a tweet
+  const isEmbedQuote =
+    node.nodeName === 'BLOCKQUOTE' &&
+    (/(^|\s)(twitter-tweet|instagram-media)(\s|$)/.test(className) ||
+      node.hasAttribute('data-instgrm-permalink'));
+  const quote = isEmbedQuote
+    ? node
+    : isEmbedBlock
+    ? node.querySelector('blockquote')
+    : null;
+  const quoteUrl =
+    quote &&
+    (quote.getAttribute('data-instgrm-permalink') ||
+      Array.from(quote.querySelectorAll('a[href]'))
+        .map((link) => link.getAttribute('href'))
+        .filter((href) => /\/status\/\d+/.test(href))
+        .pop());
+
+  if (node.nodeName === 'IFRAME' || (isEmbedBlock && iframe)) {
+    const embed = getEmbed(iframe.getAttribute('src'), {
+      title: iframe.getAttribute('title'),
+    });
+    return embed.kind || isEmbedBlock ? embed : null;
+  }
 
-  // Loop over our content types and create API endpoint URLs
-  for (const [key, value] of Object.entries(wpData)) {
-    let wpUrl = `${wpEndpoint}${key}?per_page=100`;
-    // Add _embed parameter for posts to get media data
-    if (key === 'posts') {
-      wpUrl += '&_embed';
-    }
-    promises.push(wpUrl);
+  if (quoteUrl) {
+    const embed = getEmbed(quoteUrl);
+    return embed.kind || isEmbedBlock ? embed : null;
   }
 
-  // console.log('API URLs to fetch:', promises);
-  getAllData(promises)
-    .then((response) => {
-      apiData = response;
+  // Embed blocks WordPress couldn't fetch just hold the URL
+  if (isEmbedBlock && /^https?:\/\/\S+$/.test(node.textContent.trim())) {
+    return getEmbed(node.textContent.trim());
+  }
 
-      mapData();
-    })
-    .catch((error) => {
-      console.log(error);
-    });
+  return null;
 }
 
-function getAllData(URLs) {
-  return Promise.all(URLs.map(fetchData));
+/**
+ * Describe an oEmbed URL: which provider it's from and its canonical URL,
+ * rather than the player's (youtube.com/embed/ID becomes /watch?v=ID).
+ * @param {String} url - URL of the embedded page or player
+ * @param {Object} details - optional: { title, provider } we already know
+ * @returns {Object} - { provider, kind, url, title }; kind is video, social
+ *   or null for providers we don't recognise
+ */
+function getEmbed(url, details = {}) {
+  // Players are often embedded without a protocol (//www.youtube.com/...)
+  url = url.replace(/^\/\//, 'https://');
+  const provider = EMBED_PROVIDERS.find((p) => p.pattern.test(url));
+  let canonicalUrl = url;
+
+  const youtubeId = url.match(
+    /(?:youtube(?:-nocookie)?\.com\/embed\/|youtu\.be\/)([\w-]+)/i
+  );
+  const vimeoId = url.match(/player\.vimeo\.com\/video\/(\d+)/i);
+
+  if (youtubeId) {
+    canonicalUrl = `https://www.youtube.com/watch?v=${youtubeId[1]}`;
+  } else if (vimeoId) {
+    canonicalUrl = `https://vimeo.com/${vimeoId[1]}`;
+  } else if (provider?.kind === 'social') {
+    // Drop tracking parameters (?utm_source=ig_embed, ?ref_src=...)
+    canonicalUrl = url.split('?')[0];
+  }
+
+  return {
+    provider:
+      provider?.name ||
+      details.provider ||
+      (url.match(/^https?:\/\/([^/?#]+)/i) || [null, 'unknown'])[1],
+    kind: provider?.kind || null,
+    url: canonicalUrl,
+    title: details.title || null,
+  };
 }
 
-function fetchData(URL) {
-  return axios
-    .get(URL)
-    .then(function (response) {
-      return {
-        success: true,
-        endpoint: '',
-        data: response.data,
-      };
-    })
-    .catch(function (error) {
-      console.error(`Error fetching ${URL}:`, error.message);
-      if (error.response) {
-        console.error(`Status: ${error.response.status}`);
-        console.error(`Response:`, error.response.data);
-      }
-      return { success: false, endpoint: '', error: error.message };
-    });
+/**
+ * Build the placeholder an oEmbed (EMBED) or gallery (GALLERY) is replaced
+ * with until it's embedded: its details as hex-encoded JSON, like figures.
+ * @param {String} type - EMBED or GALLERY
+ * @param {Object} details - from getEmbed() or getGalleryFromHtml()
+ * @returns {String}
+ */
+function getBlockPlaceholder(type, details) {
+  const encoded = Buffer.from(JSON.stringify(details)).toString('hex');
+  return `[CONTENTFUL_${type}:${encoded}]`;
 }
 
 /**
- * Get our entire API response and filter it down to only show content that we want to include
+ * Find an embed or gallery placeholder, which always makes up a paragraph
+ * of its own.
+ * @param {Object} paragraph - Rich Text paragraph
+ * @param {String} type - EMBED or GALLERY
+ * @returns {Object|null} - details, see getBlockPlaceholder()
  */
-function mapData() {
-  // Get WP posts from API object
+function findBlockPlaceholder(paragraph, type) {
+  const text = paragraph.content
+    .map((node) => (node.nodeType === 'text' ? node.value : ''))
+    .join('')
+    .trim();
+  const match = text.match(
+    new RegExp(`^\\[CONTENTFUL_${type}:([0-9a-f]+)\\]$`)
+  );
 
-  // Loop over our conjoined data structure and append data types to each child.
-  for (const [index, [key, value]] of Object.entries(Object.entries(wpData))) {
-    apiData[index].endpoint = key;
-  }
+  return match ? JSON.parse(Buffer.from(match[1], 'hex').toString()) : null;
+}
 
-  console.log(`Reducing API data to only include fields we want`);
-  let apiPosts = getApiDataType('posts')[0];
+/**
+ * Build the placeholder an image is replaced with until it's embedded:
+ * [CONTENTFUL_IMAGE:photo.jpg], plus its alt text and for figures their
+ * details as hex-encoded JSON after a |, so the Markdown round trip can't
+ * mangle them.
+ * @param {String} fileName - file name of the image as used in the HTML
+ * @param {Object} details - optional: { alt, caption, link, alignment,
+ *   src, mediaId }
+ * @returns {String}
+ */
+function getImagePlaceholder(fileName, details = {}) {
+  const figure = Object.fromEntries(
+    Object.entries(details).filter(([key, value]) => value)
+  );
 
-  // Debug: Check if we got the posts data
-  if (!apiPosts || !apiPosts.data) {
-    console.error('ERROR: Failed to get posts data from WordPress API');
-    console.log('apiPosts:', apiPosts);
-    console.log('Full apiData structure:', JSON.stringify(apiData, null, 2));
-    throw new Error('No posts data available from WordPress API');
+  if (Object.keys(figure).length === 0) {
+    return `[CONTENTFUL_IMAGE:${fileName}]`;
   }
 
-  // Apply TEST_LIMIT if set
-  let postsToProcess = apiPosts.data;
-  if (TEST_LIMIT && TEST_LIMIT > 0) {
-    postsToProcess = apiPosts.data.slice(0, TEST_LIMIT);
-    console.log(`TEST MODE: Processing only ${TEST_LIMIT} posts`);
+  const encoded = Buffer.from(JSON.stringify(figure)).toString('hex');
+  return `[CONTENTFUL_IMAGE:${fileName}|${encoded}]`;
+}
+
+/**
+ * Find the image placeholders in a piece of text.
+ * @param {String} text - text node value
+ * @returns {Array} - { start, end, image } with the placeholder's position
+ *   and image details ({ fileName, alt, caption, link, alignment, src, mediaId })
+ */
+function findImagePlaceholders(text) {
+  const matches = (text || '').matchAll(
+    /\[CONTENTFUL_IMAGE:([^\]|]+)(?:\|([0-9a-f]+))?\]/g
+  );
+
+  return [...matches].map((match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    image: {
+      fileName: match[1],
+      ...(match[2] ? JSON.parse(Buffer.from(match[2], 'hex').toString()) : {}),
+    },
+  }));
+}
+
+/**
+ * Find the image placeholders anywhere in a Rich Text node's text.
+ * @param {Object} node - Rich Text node
+ * @returns {Array} - image details, see findImagePlaceholders()
+ */
+function findImagesInNode(node) {
+  if (node.nodeType === 'text') {
+    return findImagePlaceholders(node.value).map((found) => found.image);
   }
 
-  // Loop over posts - note: we probably /should/ be using .map() here.
-  for (let [key, postData] of Object.entries(postsToProcess)) {
-    console.log(`Parsing ${postData.slug}`);
+  return (node.content || []).flatMap((child) => findImagesInNode(child));
+}
 
-    /**
-     * Create base object with only limited keys
-     * (e.g. just 'slug', 'categories', 'title') etc.
-     *
-     * The idea here is that the key will be your Contentful field name
-     * and the value be the WP post value. We will later match the keys
-     * used here to their Contentful fields in the API.
-     */
-    let fieldData = {
-      id: postData.id,
-      // type: postData.type,
-      internalName: postData.title.rendered,
-      title: postData.title.rendered, // Add title field
-      slug: postData.slug,
-      content: postData.content.rendered,
-      publishedDate: postData.date_gmt + '+00:00', // Use publishedDate instead of publishDate
-      featuredImage: postData.featured_media,
-      authorId: postData.author, // Store author ID
-      authorName: getAuthorName(postData.author), // Get author name from ID
-      seoTitle: postData.yoast_head_json?.title || postData.title.rendered,
-      seoDescription: postData.yoast_head_json?.description || '',
-      tags: [...(postData.tags || []), ...(postData.categories || [])], // Combine tag and category IDs for Contentful tags
-      categories: postData.categories || [], // Store category IDs separately for reference
-      contentImages: getPostBodyImages(postData),
-    };
+/**
+ * Rich Text nodes whose paragraphs can't be split around embedded blocks,
+ * so images in them become asset hyperlinks instead.
+ */
+const INLINE_IMAGE_CONTAINERS = [
+  'blockquote',
+  'table-cell',
+  'table-header-cell',
+];
 
-    wpData.posts.push(fieldData);
+/**
+ * Split inline Rich Text nodes (the content of a paragraph or heading) at
+ * the image placeholders in them. Hyperlinks around an image are split too.
+ * @param {Array} nodes - inline nodes
+ * @returns {Array} - in order: { nodes } runs of inline nodes and { image }
+ */
+function splitAroundImages(nodes) {
+  const parts = [];
+  const addInline = (node) => {
+    if (node.nodeType === 'text' && node.value === '') {
+      return;
+    }
+
+    const last = parts[parts.length - 1];
+    if (last && last.nodes) {
+      last.nodes.push(node);
+    } else {
+      parts.push({ nodes: [node] });
+    }
+  };
+
+  for (const node of nodes) {
+    if (node.nodeType === 'text') {
+      let position = 0;
+      for (const { start, end, image } of findImagePlaceholders(node.value)) {
+        addInline({ ...node, value: node.value.slice(position, start) });
+        parts.push({ image: image });
+        position = end;
+      }
+      addInline({ ...node, value: node.value.slice(position) });
+    } else if (node.nodeType === 'hyperlink' && findImagesInNode(node).length) {
+      for (const part of splitAroundImages(node.content)) {
+        if (part.image) {
+          parts.push(part);
+        } else {
+          addInline({ ...node, content: part.nodes });
+        }
+      }
+    } else {
+      addInline(node);
+    }
   }
 
-  console.log(`...Done!`);
-  console.log(logSeparator);
+  return parts;
+}
 
-  writeDataToFile(wpData, 'wpPosts');
-  createForContentful();
+/**
+ * Trim the whitespace a split left at the edges of a run of inline nodes.
+ * @param {Array} nodes - inline nodes
+ * @returns {Array} - the nodes, empty if there's nothing but whitespace
+ */
+function trimInlineNodes(nodes) {
+  const trimmed = nodes.map((node) => ({ ...node }));
+  const first = trimmed[0];
+  const last = trimmed[trimmed.length - 1];
+
+  if (first && first.nodeType === 'text') {
+    first.value = first.value.trimStart();
+  }
+  if (last && last.nodeType === 'text') {
+    last.value = last.value.trimEnd();
+  }
+
+  const isEmpty = trimmed.every(
+    (node) => node.nodeType === 'text' && node.value === ''
+  );
+  return isEmpty ? [] : trimmed.filter((node) => node.value !== '');
+}
+
+/**
+ * Process Rich Text document to replace image references with embedded assets,
+ * and links to uploaded files (PDFs and the like) with asset hyperlinks
+ * @param {Object} richTextDoc - The Rich Text document from richTextFromMarkdown
+ * @param {Array} assets - Array of Contentful assets with their IDs and filenames
+ * @param {Array} warnings - optional: collects the warnings logged, for the
+ *   migration report
+ * @param {Array} embeddedEntries - optional: collects the entries (such as
+ *   figures) the document embeds, which need creating before it's published
+ * @returns {Object} - Modified Rich Text document with embedded assets
+ */
+function embedAssetsInRichText(
+  richTextDoc,
+  assets,
+  warnings = [],
+  embeddedEntries = []
+) {
+  const warn = (message) => {
+    console.warn(`⚠ ${message}`);
+    warnings.push(message);
+  };
+
+  if (!richTextDoc || !richTextDoc.content) {
+    return richTextDoc;
+  }
+
+  // Without assets, images can't be embedded (embeds still can)
+  if ((!assets || assets.length === 0) && richTextDoc.nodeType === 'document') {
+    warn('No assets available for embedding in Rich Text');
+  }
+  assets = assets || [];
+
+  // Paragraphs are split around embedded blocks, except where Contentful
+  // only allows text (blockquotes, table cells, headings)
+  const allowsBlocks = !INLINE_IMAGE_CONTAINERS.includes(richTextDoc.nodeType);
+  const newContent = [];
+  let embeddedImageCount = 0;
+  let linkedImageCount = 0;
+  let fileLinkCount = 0;
+  let embedCount = 0;
+  let galleryCount = 0;
+
+  // Without `galleries`, or where there's no room for an entry, a gallery
+  // is a run of images
+  const content = richTextDoc.content.flatMap((node) => {
+    const gallery =
+      node.nodeType === 'paragraph'
+        ? findBlockPlaceholder(node, 'GALLERY')
+        : null;
+
+    return gallery && !(gallerySettings && allowsBlocks)
+      ? getGalleryImageParagraphs(gallery)
+      : [node];
+  });
+
+  for (const node of content) {
+    // Links to uploaded files point at the asset instead of WordPress
+    if (node.nodeType === 'hyperlink' && isUploadsUrl(node.data.uri)) {
+      const fileName = getUrlFileName(node.data.uri);
+      const asset = assets.find((a) => a.fileName === fileName);
+
+      if (asset) {
+        newContent.push({
+          nodeType: 'asset-hyperlink',
+          data: {
+            target: {
+              sys: {
+                type: 'Link',
+                linkType: 'Asset',
+                id: asset.assetId,
+              },
+            },
+          },
+          content: node.content,
+        });
+        fileLinkCount++;
+        continue;
+      }
+
+      warn(
+        `Could not find asset for linked file, it still points at WordPress: ${node.data.uri}`
+      );
+    }
+
+    // Embeds (YouTube, tweets, ...) become an entry, or a link to them
+    const embed =
+      node.nodeType === 'paragraph'
+        ? findBlockPlaceholder(node, 'EMBED')
+        : null;
+    if (embed) {
+      newContent.push(...getEmbedNodes(embed, allowsBlocks, embeddedEntries));
+      embedCount++;
+      continue;
+    }
+
+    const gallery =
+      node.nodeType === 'paragraph'
+        ? findBlockPlaceholder(node, 'GALLERY')
+        : null;
+    if (gallery) {
+      newContent.push(
+        ...getGalleryNodes(gallery, assets, embeddedEntries, warn)
+      );
+      galleryCount++;
+      continue;
+    }
+
+    // Image placeholders can be anywhere in a paragraph's or heading's text
+    let nodes = [node];
+    const isTextBlock =
+      node.nodeType === 'paragraph' || node.nodeType.startsWith('heading-');
+    const images = isTextBlock ? findImagesInNode(node) : [];
+
+    if (images.length > 0) {
+      const splitsParagraph = node.nodeType === 'paragraph' && allowsBlocks;
+
+      for (const image of images) {
+        if (findImageAsset(assets, image)) {
+          if (splitsParagraph) {
+            embeddedImageCount++;
+          } else {
+            linkedImageCount++;
+          }
+          continue;
+        }
+
+        // Missing images become a link to their src: links to uploads
+        // are reported as missing files below, once they're links
+        if (!(image.src && isUploadsUrl(image.src))) {
+          warn(`Could not find asset for inline image: ${image.fileName}`);
+          console.warn(
+            `  Available assets: ${assets
+              .slice(0, 5)
+              .map((a) => a.fileName)
+              .join(', ')}...`
+          );
+        }
+      }
+
+      nodes = splitsParagraph
+        ? splitParagraphAtImages(node, assets, embeddedEntries)
+        : [linkImagesInTextBlock(node, assets, warn)];
+    }
+
+    // Recursively process any nested content
+    for (const newNode of nodes) {
+      if (newNode.content && Array.isArray(newNode.content)) {
+        newNode.content = embedAssetsInRichText(
+          { nodeType: newNode.nodeType, content: newNode.content },
+          assets,
+          warnings,
+          embeddedEntries
+        ).content;
+      }
+
+      newContent.push(newNode);
+    }
+  }
+
+  if (embeddedImageCount > 0) {
+    console.log(
+      `  ✓ Embedded ${embeddedImageCount} inline images in Rich Text`
+    );
+  }
+  if (linkedImageCount > 0) {
+    console.log(
+      `  ✓ Linked ${linkedImageCount} inline images to their assets in Rich Text`
+    );
+  }
+  if (fileLinkCount > 0) {
+    console.log(`  ✓ Linked ${fileLinkCount} uploaded files in Rich Text`);
+  }
+  if (embedCount > 0) {
+    console.log(`  ✓ Converted ${embedCount} embeds in Rich Text`);
+  }
+  if (galleryCount > 0) {
+    console.log(`  ✓ Embedded ${galleryCount} galleries in Rich Text`);
+  }
+
+  return { ...richTextDoc, content: newContent };
+}
+
+/**
+ * Rich Text nodes for an oEmbed: an embedded entry when its kind has a
+ * content type in `embeds` (and embedded blocks are allowed where it is),
+ * otherwise a paragraph linking to it.
+ * @param {Object} embed - placeholder details from findBlockPlaceholder()
+ * @param {Boolean} allowsBlocks - whether embedded blocks are allowed here
+ * @param {Array} embeddedEntries - collects embed entries to create
+ * @returns {Array} - Rich Text nodes
+ */
+function getEmbedNodes(embed, allowsBlocks, embeddedEntries) {
+  const settings = embedSettings[embed.kind];
+
+  if (settings && allowsBlocks) {
+    const entry = getEmbedEntry(embed, settings);
+    embeddedEntries.push(entry);
+
+    return [getEmbeddedEntryBlock(entry)];
+  }
+
+  return [
+    {
+      nodeType: 'paragraph',
+      data: {},
+      content: [
+        {
+          nodeType: 'hyperlink',
+          data: { uri: embed.url },
+          content: [
+            {
+              nodeType: 'text',
+              value: embed.title || embed.url,
+              marks: [],
+              data: {},
+            },
+          ],
+        },
+      ],
+    },
+  ];
+}
+
+/**
+ * Build the entry of the `embeds` content type for an oEmbed. Its ID comes
+ * from its URL, so the same video in two posts is one entry.
+ * @param {Object} embed - placeholder details from findBlockPlaceholder()
+ * @param {Object} settings - `embeds` config for its kind
+ * @returns {Object} - { entryId, contentType, fields, label, imageCount }
+ */
+function getEmbedEntry(embed, settings) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(embed.url)
+    .digest('hex')
+    .slice(0, 16);
+
+  return {
+    entryId: getContentfulId('embed', hash),
+    contentType: settings.contentType,
+    fields: getEmbeddedEntryFields(settings, {
+      provider: embed.provider,
+      url: embed.url,
+      title: embed.title,
+    }),
+    label: `${embed.provider} embed ${embed.url}`,
+    imageCount: 0,
+  };
+}
+
+/**
+ * Rich Text nodes for a gallery with `galleries` configured: an embedded
+ * gallery entry with every image we have an asset for.
+ * @param {Object} gallery - placeholder details from findBlockPlaceholder()
+ * @param {Array} assets - created assets ({ assetId, fileName, sourceId })
+ * @param {Array} embeddedEntries - collects gallery entries to create
+ * @param {Function} warn - logs a warning for the migration report
+ * @returns {Array} - Rich Text nodes
+ */
+function getGalleryNodes(gallery, assets, embeddedEntries, warn) {
+  const items = [];
+
+  for (const image of gallery.images) {
+    const asset = findImageAsset(assets, image);
+
+    if (asset) {
+      items.push({ asset: asset, image: image });
+    } else {
+      warn(`Could not find asset for gallery image: ${image.fileName}`);
+    }
+  }
+
+  if (items.length === 0) {
+    return gallery.caption
+      ? [getCaptionParagraph({ caption: gallery.caption })]
+      : [];
+  }
+
+  const entry = getGalleryEntry(items, gallery.caption);
+  embeddedEntries.push(entry);
+
+  return [getEmbeddedEntryBlock(entry)];
+}
+
+/**
+ * Paragraphs standing in for a gallery without `galleries` configured: its
+ * images' placeholders, which embedAssetsInRichText() embeds one by one,
+ * then its caption.
+ * @param {Object} gallery - placeholder details from findBlockPlaceholder()
+ * @returns {Array} - Rich Text paragraphs
+ */
+function getGalleryImageParagraphs(gallery) {
+  const placeholders = gallery.images.map((image) =>
+    getImagePlaceholder(image.fileName, {
+      alt: image.alt,
+      caption: image.caption,
+      src: image.src,
+      mediaId: image.mediaId,
+    })
+  );
+
+  return [
+    getPlaceholderParagraph(placeholders.join(' ')),
+    ...(gallery.caption
+      ? [getCaptionParagraph({ caption: gallery.caption })]
+      : []),
+  ];
+}
+
+/**
+ * Build the entry of the `galleries` content type for a gallery. Its ID
+ * comes from its images and captions, so the same gallery in two posts is
+ * one entry.
+ * @param {Array} items - { asset, image } for each image, in order
+ * @param {String|null} caption - the gallery's own caption
+ * @returns {Object} - { entryId, contentType, fields, label, imageCount }
+ */
+function getGalleryEntry(items, caption) {
+  const assetLinks = items.map(({ asset }) => ({
+    sys: { type: 'Link', linkType: 'Asset', id: asset.assetId },
+  }));
+  // One per image, so they line up with `images`
+  const captions = items.map(({ image }) => image.caption || '');
+
+  const hash = crypto
+    .createHash('sha1')
+    .update(
+      JSON.stringify([assetLinks.map((link) => link.sys.id), captions, caption])
+    )
+    .digest('hex')
+    .slice(0, 16);
+
+  return {
+    entryId: getContentfulId('gallery', hash),
+    contentType: gallerySettings.contentType,
+    fields: getEmbeddedEntryFields(gallerySettings, {
+      images: assetLinks,
+      captions: captions.some((text) => text) ? captions : null,
+      caption: caption,
+    }),
+    label: `gallery of ${items.length} image${items.length === 1 ? '' : 's'}`,
+    imageCount: items.length,
+  };
+}
+
+/**
+ * Rich Text node embedding an entry we create, e.g. a figure or gallery.
+ * @param {Object} entry - { entryId, ... }
+ * @returns {Object} - embedded-entry-block node
+ */
+function getEmbeddedEntryBlock(entry) {
+  return {
+    nodeType: 'embedded-entry-block',
+    data: {
+      target: {
+        sys: { type: 'Link', linkType: 'Entry', id: entry.entryId },
+      },
+    },
+    content: [],
+  };
+}
+
+/**
+ * Contentful fields of an entry we embed in Rich Text, from the field IDs
+ * in its config. Values that are empty, or have no field, are left out.
+ * @param {Object} settings - { contentType, fields: { key: fieldId } }
+ * @param {Object} values - values by key, e.g. { url, title }
+ * @returns {Object} - Contentful fields
+ */
+function getEmbeddedEntryFields(settings, values) {
+  const fields = {};
+
+  for (const [key, fieldId] of Object.entries(settings.fields)) {
+    if (fieldId && values[key]) {
+      fields[fieldId] = { [ctfLocale]: values[key] };
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Find the asset for an image placeholder: by its media ID when it has one
+ * (images from Gutenberg blocks), otherwise by file name.
+ * @param {Array} assets - created assets ({ assetId, fileName, sourceId })
+ * @param {Object} image - placeholder details from findImagePlaceholders()
+ * @returns {Object|null} - asset
+ */
+function findImageAsset(assets, image) {
+  const mediaAssetId = image.mediaId
+    ? getContentfulId('media', image.mediaId)
+    : null;
+  const mediaAsset = mediaAssetId
+    ? assets.find(
+        (a) => a.sourceId === mediaAssetId || a.assetId === mediaAssetId
+      )
+    : null;
+
+  return (
+    mediaAsset || assets.find((a) => a.fileName === image.fileName) || null
+  );
+}
+
+/**
+ * Split a paragraph around the images in it: the text before and after each
+ * stays a paragraph, and each image becomes an embedded block.
+ * @param {Object} paragraph - Rich Text paragraph with image placeholders
+ * @param {Array} assets - created assets ({ assetId, fileName })
+ * @param {Array} embeddedEntries - collects figure entries to create
+ * @returns {Array} - Rich Text nodes
+ */
+function splitParagraphAtImages(paragraph, assets, embeddedEntries) {
+  const nodes = [];
+
+  for (const part of splitAroundImages(paragraph.content)) {
+    if (part.nodes) {
+      const content = trimInlineNodes(part.nodes);
+      if (content.length > 0) {
+        nodes.push({ ...paragraph, content: content });
+      }
+      continue;
+    }
+
+    const asset = findImageAsset(assets, part.image);
+    if (asset) {
+      nodes.push(...getImageNodes(asset, part.image, embeddedEntries));
+    } else if (part.image.src) {
+      nodes.push({
+        nodeType: 'paragraph',
+        data: {},
+        content: [getImageSourceLink(part.image)],
+      });
+    } else if (part.image.caption) {
+      // Keep the caption at least, rather than the placeholder
+      nodes.push(getCaptionParagraph(part.image));
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Replace the images in a paragraph or heading that can't be split with
+ * asset hyperlinks, labelled with their caption, alt text or file name.
+ * @param {Object} textBlock - Rich Text paragraph or heading
+ * @param {Array} assets - created assets ({ assetId, fileName })
+ * @param {Function} warn - logs a warning for the migration report
+ * @returns {Object} - the paragraph or heading
+ */
+function linkImagesInTextBlock(textBlock, assets, warn) {
+  const content = [];
+
+  for (const part of splitAroundImages(textBlock.content)) {
+    if (part.nodes) {
+      content.push(...part.nodes);
+      continue;
+    }
+
+    const image = part.image;
+    const label = image.caption || image.alt || image.fileName;
+    const asset = findImageAsset(assets, image);
+
+    if (!asset) {
+      if (image.src) {
+        content.push(getImageSourceLink(image));
+      } else if (image.caption) {
+        content.push({ nodeType: 'text', value: label, marks: [], data: {} });
+      }
+      continue;
+    }
+
+    warn(
+      `Image ${image.fileName} is somewhere Contentful can't embed it, so it became a link to the asset`
+    );
+    content.push({
+      nodeType: 'asset-hyperlink',
+      data: {
+        target: {
+          sys: { type: 'Link', linkType: 'Asset', id: asset.assetId },
+        },
+      },
+      content: [{ nodeType: 'text', value: label, marks: [], data: {} }],
+    });
+  }
+
+  // Paragraphs and headings need at least one node
+  return {
+    ...textBlock,
+    content:
+      content.length > 0
+        ? content
+        : [{ nodeType: 'text', value: '', marks: [], data: {} }],
+  };
+}
+
+/**
+ * Link to the original file of an image we have no asset for, labelled
+ * with its caption, alt text or file name.
+ * @param {Object} image - placeholder details from findImagePlaceholders()
+ * @returns {Object} - Rich Text hyperlink
+ */
+function getImageSourceLink(image) {
+  return {
+    nodeType: 'hyperlink',
+    data: { uri: image.src },
+    content: [
+      {
+        nodeType: 'text',
+        value: image.caption || image.alt || image.fileName,
+        marks: [],
+        data: {},
+      },
+    ],
+  };
+}
+
+/**
+ * Rich Text nodes for an image: an embedded asset followed by a paragraph
+ * with its caption and link, or for figures when `figures` is configured,
+ * an embedded entry holding all of them.
+ * @param {Object} asset - created asset ({ assetId, fileName })
+ * @param {Object} image - placeholder details from findImagePlaceholders()
+ * @param {Array} embeddedEntries - collects figure entries to create
+ * @returns {Array} - Rich Text nodes
+ */
+function getImageNodes(asset, image, embeddedEntries) {
+  const assetLink = {
+    sys: { type: 'Link', linkType: 'Asset', id: asset.assetId },
+  };
+  const isFigure = image.caption || image.link || image.alignment;
+
+  if (isFigure && figureSettings) {
+    const figure = getFigureEntry(assetLink, image);
+    embeddedEntries.push(figure);
+
+    return [getEmbeddedEntryBlock(figure)];
+  }
+
+  const nodes = [
+    {
+      nodeType: 'embedded-asset-block',
+      data: { target: assetLink },
+      content: [],
+    },
+  ];
+
+  // Rich Text has nowhere to keep the alignment
+  if (image.caption || image.link) {
+    nodes.push(getCaptionParagraph(image));
+  }
+
+  return nodes;
+}
+
+/**
+ * Paragraph with an image's caption in italics, linked to wherever the
+ * image linked to (or just the link, if there's no caption).
+ * @param {Object} image - placeholder details from findImagePlaceholders()
+ * @returns {Object} - Rich Text paragraph
+ */
+function getCaptionParagraph(image) {
+  const text = {
+    nodeType: 'text',
+    value: image.caption || image.link,
+    marks: image.caption ? [{ type: 'italic' }] : [],
+    data: {},
+  };
+
+  return {
+    nodeType: 'paragraph',
+    data: {},
+    content: [
+      image.link
+        ? {
+            nodeType: 'hyperlink',
+            data: { uri: image.link },
+            content: [text],
+          }
+        : text,
+    ],
+  };
+}
+
+/**
+ * Build the entry of the `figures` content type for a figure. Its ID comes
+ * from its contents, so the same figure in two posts is one entry.
+ * @param {Object} assetLink - link to the image's asset
+ * @param {Object} image - placeholder details from findImagePlaceholders()
+ * @returns {Object} - { entryId, contentType, fields, label, imageCount }
+ */
+function getFigureEntry(assetLink, image) {
+  const values = {
+    image: assetLink,
+    caption: image.caption,
+    link: image.link,
+    alignment: image.alignment,
+  };
+
+  const hash = crypto
+    .createHash('sha1')
+    .update(
+      JSON.stringify([
+        assetLink.sys.id,
+        image.caption,
+        image.link,
+        image.alignment,
+      ])
+    )
+    .digest('hex')
+    .slice(0, 16);
+
+  return {
+    entryId: getContentfulId('figure', hash),
+    contentType: figureSettings.contentType,
+    fields: getEmbeddedEntryFields(figureSettings, values),
+    label: `figure ${image.fileName}`,
+    imageCount: 1,
+  };
+}
+
+/**
+ * Idempotency helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Build a deterministic Contentful ID from a WordPress type and ID, so
+ * re-running the migration updates what it created last time rather than
+ * creating duplicates (e.g. post 123 becomes 'wp-post-123').
+ * @param {String} wpType - type of WordPress object (post, author, tag, media...)
+ * @param {Number|String} wpId - WordPress ID of the object
+ * @returns {String} - Contentful entry/asset ID
+ */
+function getContentfulId(wpType, wpId) {
+  return `wp-${wpType}-${wpId}`;
+}
+
+/**
+ * Get the Contentful asset ID for an image found in a post.
+ * Images with a WordPress media ID use it, as do images whose URL matches a
+ * media library item once normalised (so resized copies share the
+ * original's asset). Anything else is keyed on its normalised URL.
+ * @param {Object} contentImage - image object from getPostBodyImages()
+ * @returns {String} - Contentful asset ID
+ */
+function getAssetId(contentImage) {
+  const normalizedUrl = normalizeUploadUrl(contentImage.link);
+  const mediaId =
+    contentImage.mediaId > 0
+      ? contentImage.mediaId
+      : findWordPressMedia(
+          (media) => normalizeUploadUrl(media.source_url) === normalizedUrl
+        )?.id;
+
+  if (mediaId) {
+    return getContentfulId('media', mediaId);
+  }
+
+  const urlHash = crypto
+    .createHash('sha1')
+    .update(normalizedUrl)
+    .digest('hex')
+    .slice(0, 16);
+  return getContentfulId('upload', urlHash);
+}
+
+/**
+ * Normalise an uploaded file's URL so that every copy of the same upload
+ * compares equal: no query string or fragment, no protocol, and no
+ * WordPress size suffix (photo-1024x683.jpg and photo-scaled.jpg become
+ * photo.jpg).
+ * @param {String} url - file URL
+ * @returns {String} - normalised URL, e.g. //example.com/wp-content/uploads/photo.jpg
+ */
+function normalizeUploadUrl(url) {
+  return url
+    .split(/[?#]/)[0]
+    .replace(/^https?:/i, '')
+    .replace(/-(\d+x\d+|scaled)(\.\w+)$/, '$2');
+}
+
+/**
+ * Check whether a URL is one of the resized copies WordPress generates
+ * (e.g. photo-1024x683.jpg or photo-scaled.jpg) rather than the uploaded
+ * file itself.
+ * @param {String} url - file URL
+ * @returns {Boolean}
+ */
+function isResizedUpload(url) {
+  return /-(\d+x\d+|scaled)\.\w+$/.test(url.split(/[?#]/)[0]);
+}
+
+/**
+ * Fetch an entry or asset by ID, returning null if it doesn't exist yet.
+ * @param {Function} getter - e.g. environment.getEntry bound to the environment
+ * @param {String} id - Contentful ID
+ * @returns {Promise<Object|null>}
+ */
+async function findExisting(getter, id) {
+  try {
+    return await contentfulRequest(() => getter(id));
+  } catch (error) {
+    if (error.name === 'NotFound') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Before anything is created, look for the existing authors, tags and
+ * categories the authors and tags phases would otherwise duplicate, and
+ * keep them in reusableEntries.
+ * With the 'fail' policy, finding any of any type stops the migration.
+ * @param {Object} environment - Contentful Environment
+ * @param {Array} phases - phases about to run
+ */
+async function findAllReusableEntries(environment, phases) {
+  const conflicts = [];
+  reusableEntries = {};
+
+  if (phases.includes('authors')) {
+    const authorIds = [...new Set(postsToMigrate.map((post) => post.authorId))];
+    reusableEntries.author = await findReusableEntries(
+      environment,
+      'author',
+      authorIds
+        .map((authorId) => ({
+          id: authorId,
+          wpObject: getWordPressUser(authorId),
+          label: `author ${getAuthorName(authorId)}`,
+        }))
+        .filter((item) => item.wpObject),
+      conflicts
+    );
+  }
+
+  if (phases.includes('tags')) {
+    for (const [termType, collection] of Object.entries(TAXONOMIES)) {
+      if (!getApiDataType(collection)[0]?.data) {
+        continue;
+      }
+
+      reusableEntries[termType] = await findReusableEntries(
+        environment,
+        termType,
+        getTermsToMigrate(termType).map((term) => ({
+          id: term.id,
+          wpObject: term.item,
+          label: `${termType} ${decodeHtmlEntities(term.item.name)}`,
+        })),
+        conflicts
+      );
+    }
+  }
+
+  if (existingEntries.policy === 'fail' && conflicts.length > 0) {
+    throw new Error(
+      `${
+        conflicts.length
+      } entries already exist in Contentful (existingEntries.policy is 'fail'):\n  ${conflicts.join(
+        '\n  '
+      )}`
+    );
+  }
+}
+
+/**
+ * Look for existing entries we'd otherwise duplicate: authors, tags or
+ * categories with another ID but the same value in the field existingEntries
+ * matches on (e.g. an author with the same name).
+ * @param {Object} environment - Contentful Environment
+ * @param {String} entryType - 'author', 'tag' or 'category'
+ * @param {Array} items - { id, wpObject, label } for each WordPress object
+ *   about to be migrated
+ * @param {Array} conflicts - descriptions of the entries found are added here
+ * @returns {Promise<Map>} - WordPress ID => ID of the entry to reuse
+ */
+async function findReusableEntries(environment, entryType, items, conflicts) {
+  const reusable = new Map();
+  const fieldId = existingEntries.match[entryType];
+
+  if (!fieldId) {
+    return reusable;
+  }
+
+  const { contentType, fields } = mapping[entryType];
+
+  await runConcurrently(items, async (item) => {
+    const value = mapFields(item.wpObject, { [fieldId]: fields[fieldId] })[
+      fieldId
+    ];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+
+    // WordPress sends names HTML-encoded ('News &amp; Events'), and an
+    // editor may have typed them with other capitals or spacing: text is
+    // searched for, then compared once decoded and normalised
+    const isText = typeof value === 'string';
+    const comparable = (text) =>
+      decodeHtmlEntities(String(text))
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    const searchValue = isText ? decodeHtmlEntities(value).trim() : value;
+    const query = isText
+      ? { [`fields.${fieldId}[match]`]: searchValue }
+      : { [`fields.${fieldId}`]: searchValue };
+
+    const response = await contentfulRequest(() =>
+      environment.getEntries({
+        content_type: contentType,
+        ...query,
+        locale: ctfLocale,
+        limit: isText ? 100 : 10,
+      })
+    );
+    const matches = isText
+      ? response.items.filter(
+          (entry) =>
+            entry.fields[fieldId]?.[ctfLocale] !== undefined &&
+            comparable(entry.fields[fieldId][ctfLocale]) === comparable(value)
+        )
+      : response.items;
+
+    // Our own entry from an earlier run is updated as usual
+    const ownId = getContentfulId(entryType, item.id);
+    if (matches.some((entry) => entry.sys.id === ownId)) {
+      return;
+    }
+
+    const [existingEntry, ...others] = matches;
+    if (!existingEntry) {
+      return;
+    }
+
+    if (others.length > 0) {
+      console.warn(
+        `⚠ ${matches.length} ${contentType} entries have ${fieldId} "${searchValue}", using ${existingEntry.sys.id}`
+      );
+    }
+
+    reusable.set(item.id, existingEntry.sys.id);
+    conflicts.push(
+      `${item.label}: ${contentType} ${existingEntry.sys.id} already has ${fieldId} "${searchValue}"`
+    );
+  });
+
+  return reusable;
+}
+
+/**
+ * Create an entry with a known ID, or update it in place if a previous
+ * run already created it.
+ * @param {Object} environment - Contentful Environment
+ * @param {String} contentTypeId - Contentful content type (e.g. 'author')
+ * @param {String} entryId - deterministic entry ID from getContentfulId()
+ * @param {Object} fields - localised entry fields
+ * @returns {Promise<Object>} - the created or updated (draft) entry
+ */
+async function upsertEntry(environment, contentTypeId, entryId, fields) {
+  const existingEntry = await findExisting(
+    (id) => environment.getEntry(id),
+    entryId
+  );
+
+  if (cliOptions.dryRun) {
+    return writeDryRunPayload(
+      path.join('entries', contentTypeId),
+      {
+        id: entryId,
+        type: 'Entry',
+        contentType: contentTypeId,
+      },
+      existingEntry ? 'update' : 'create',
+      fields
+    );
+  }
+
+  if (existingEntry) {
+    // Only replace the locales we migrate, others may hold translations
+    for (const [fieldId, value] of Object.entries(fields)) {
+      existingEntry.fields[fieldId] = {
+        ...existingEntry.fields[fieldId],
+        ...value,
+      };
+    }
+    const updatedEntry = await contentfulRequest(() => existingEntry.update());
+    console.log(`  Updated existing ${contentTypeId}: ${entryId}`);
+    return updatedEntry;
+  }
+
+  const newEntry = await contentfulRequest(() =>
+    environment.createEntryWithId(contentTypeId, entryId, {
+      fields: fields,
+    })
+  );
+  console.log(`  Created draft ${contentTypeId}: ${entryId}`);
+  return newEntry;
+}
+
+/**
+ * Dry run: write the payload we would have sent to Contentful to a file
+ * (e.g. dry-run/entries/pageBlogPost/wp-post-123.json) and hand back a
+ * stand-in that behaves enough like an entry for the rest of the script.
+ * @param {String} subDirectory - directory under --dry-run-dir
+ * @param {Object} sys - ID, type and content type of the entry or asset
+ * @param {String} action - 'create' or 'update'
+ * @param {Object} fields - localised fields that would be sent
+ * @returns {Object} - stand-in entry/asset whose publish() does nothing
+ */
+function writeDryRunPayload(subDirectory, sys, action, fields) {
+  const directory = path.join(cliOptions.dryRunDir, subDirectory);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(
+    path.join(directory, `${sys.id}.json`),
+    JSON.stringify({ sys: sys, action: action, fields: fields }, null, 2)
+  );
+  console.log(`  Dry run: would ${action} ${sys.type} ${sys.id}`);
+
+  const standIn = {
+    sys: sys,
+    fields: fields,
+    publish: () => Promise.resolve(standIn),
+  };
+  return standIn;
+}
+
+/**
+ * Check whether an entry or asset is published with no pending changes.
+ * @param {Object} item - Contentful entry or asset
+ * @returns {Boolean}
+ */
+function isPublishedAndCurrent(item) {
+  return (
+    !!item.sys.publishedVersion &&
+    item.sys.version === item.sys.publishedVersion + 1
+  );
+}
+
+/**
+ * Contentful request queue.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * How often a Contentful request is retried after a rate limit (429) or
+ * server error before giving up, and the delay the backoff starts from.
+ */
+const CONTENTFUL_MAX_RETRIES = 6;
+const CONTENTFUL_RETRY_DELAY = 1000;
+
+/**
+ * Every Contentful request goes through this queue: at most `concurrency`
+ * run at once, and none start while the rate limit is used up.
+ */
+const contentfulQueue = {
+  active: 0,
+  waiting: [],
+  pausedUntil: 0,
+};
+
+/**
+ * Run a Contentful request through the queue, retrying rate limit and
+ * server errors with exponential backoff (or as long as Contentful's
+ * X-Contentful-RateLimit-Reset header says, if that's longer).
+ * @param {Function} request - makes the request, e.g. () => entry.publish()
+ * @returns {Promise<*>} - whatever the request resolves to
+ */
+async function contentfulRequest(request) {
+  for (let attempt = 1; ; attempt++) {
+    await acquireContentfulSlot();
+
+    let retryDelay;
+    try {
+      const wait = contentfulQueue.pausedUntil - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      return await request();
+    } catch (error) {
+      const status = getContentfulErrorStatus(error);
+      const retryable = status === 429 || status >= 500;
+
+      if (!retryable || attempt > CONTENTFUL_MAX_RETRIES) {
+        throw error;
+      }
+
+      retryDelay = Math.max(
+        getBackoffDelay(attempt, CONTENTFUL_RETRY_DELAY),
+        contentfulQueue.pausedUntil - Date.now()
+      );
+      console.warn(
+        `⚠ Contentful ${
+          status === 429 ? 'rate limit reached' : `error ${status}`
+        }, retrying in ${retryDelay}ms (attempt ${attempt}/${
+          CONTENTFUL_MAX_RETRIES + 1
+        })`
+      );
+    } finally {
+      releaseContentfulSlot();
+    }
+
+    await sleep(retryDelay);
+  }
+}
+
+/**
+ * Wait for a free slot in the Contentful queue.
+ * @returns {Promise}
+ */
+function acquireContentfulSlot() {
+  if (contentfulQueue.active < concurrency) {
+    contentfulQueue.active++;
+    return Promise.resolve();
+  }
+
+  // The slot is handed over directly by releaseContentfulSlot()
+  return new Promise((resolve) => contentfulQueue.waiting.push(resolve));
+}
+
+/**
+ * Free a slot in the Contentful queue, passing it on to the next request
+ * waiting for one.
+ */
+function releaseContentfulSlot() {
+  const next = contentfulQueue.waiting.shift();
+
+  if (next) {
+    next();
+  } else {
+    contentfulQueue.active--;
+  }
+}
+
+/**
+ * Watch the rate limit headers on every Contentful response, and hold the
+ * queue until the limit resets once it's used up.
+ * Passed to the client as its responseLogger, so it gets errors too.
+ * @param {Object} response - Axios response, or error with a response
+ */
+function trackContentfulRateLimit(response) {
+  const headers = response?.headers || response?.response?.headers || {};
+  const remaining = parseHeaderNumber(
+    headers['x-contentful-ratelimit-second-remaining']
+  );
+  const reset = parseHeaderNumber(headers['x-contentful-ratelimit-reset']);
+  const rateLimited = response?.response?.status === 429;
+
+  if (remaining === 0 || rateLimited) {
+    contentfulQueue.pausedUntil = Math.max(
+      contentfulQueue.pausedUntil,
+      Date.now() + (reset !== null ? reset : 1) * 1000
+    );
+  }
+}
+
+/**
+ * Get the HTTP status of an error thrown by the Contentful SDK, which
+ * keeps it in a JSON message.
+ * @param {Error} error - error thrown by the SDK
+ * @returns {Number|null} - status, or null if there wasn't a response
+ */
+function getContentfulErrorStatus(error) {
+  if (error.name === 'RateLimitExceeded') {
+    return 429;
+  }
+
+  try {
+    return JSON.parse(error.message).status || null;
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Exponential backoff with jitter: about base, 2 x base, 4 x base... with
+ * up to half of that again added at random, so retries don't line up.
+ * @param {Number} attempt - attempt that just failed, starting at 1
+ * @param {Number} baseDelay - delay after the first failure, in ms
+ * @returns {Number} - milliseconds to wait
+ */
+function getBackoffDelay(attempt, baseDelay) {
+  const delay = baseDelay * 2 ** (attempt - 1);
+  return Math.round(delay + (Math.random() * delay) / 2);
+}
+
+/**
+ * Run an async worker over every item, with at most `concurrency` running
+ * at once. The worker handles its own errors.
+ * @param {Array} items - things to work on
+ * @param {Function} worker - async (item, index) => ...
+ * @returns {Promise}
+ */
+async function runConcurrently(items, worker) {
+  let next = 0;
+
+  const runners = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(runners);
+}
+
+/**
+ * Wait.
+ * @param {Number} ms - milliseconds to wait
+ * @returns {Promise}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * WordPress requests.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Delay the backoff starts from when a WordPress request fails.
+ */
+const WORDPRESS_RETRY_DELAY = 1000;
+
+/**
+ * Network errors worth retrying: timeouts and dropped connections.
+ */
+const TRANSIENT_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+];
+
+/**
+ * Every WordPress URL that still failed after its retries, for the report
+ * at the end of the run.
+ */
+const failedRequests = [];
+
+/**
+ * Make a request to WordPress (or a download from it), retrying timeouts,
+ * dropped connections, 429s and 5xx errors with exponential backoff (or as
+ * long as a Retry-After header says, if that's longer).
+ * If it still fails, the URL goes in the failure report and the error is
+ * thrown.
+ * @param {String} url - URL being requested, for logging and the report
+ * @param {Function} request - makes the request, e.g. () => axios.get(url)
+ * @returns {Promise<*>} - whatever the request resolves to
+ */
+async function wordpressRequest(url, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isTransientError(error) || attempt > wpRetries) {
+        failedRequests.push({
+          url: url,
+          error: describeRequestError(error),
+          attempts: attempt,
+        });
+        throw error;
+      }
+
+      const retryDelay = Math.max(
+        getBackoffDelay(attempt, WORDPRESS_RETRY_DELAY),
+        getRetryAfter(error)
+      );
+      console.warn(
+        `⚠ ${describeRequestError(
+          error
+        )} from ${url}, retrying in ${retryDelay}ms (attempt ${attempt}/${
+          wpRetries + 1
+        })`
+      );
+      await sleep(retryDelay);
+    }
+  }
+}
+
+/**
+ * Whether a failed request is worth trying again.
+ * @param {Error} error - Axios or stream error
+ * @returns {Boolean}
+ */
+function isTransientError(error) {
+  const status = error.response?.status;
+
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * How long a 429 or 503 response asked us to wait, from its Retry-After
+ * header (either seconds or an HTTP date).
+ * @param {Error} error - Axios error
+ * @returns {Number} - milliseconds, 0 if there's no header
+ */
+function getRetryAfter(error) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (!retryAfter) {
+    return 0;
+  }
+
+  const seconds = Number(retryAfter);
+  const delay = Number.isNaN(seconds)
+    ? Date.parse(retryAfter) - Date.now()
+    : seconds * 1000;
+
+  return Number.isNaN(delay) ? 0 : Math.max(delay, 0);
+}
+
+/**
+ * Short description of a failed request, e.g. "HTTP 503" or "ECONNRESET".
+ * @param {Error} error - Axios or stream error
+ * @returns {String}
+ */
+function describeRequestError(error) {
+  if (error.response?.status) {
+    return `HTTP ${error.response.status}`;
+  }
+
+  return error.code || error.message;
+}
+
+/**
+ * List every WordPress URL that failed for good, so those posts or assets
+ * can be looked at and the run repeated with --resume.
+ */
+function reportFailedRequests() {
+  if (failedRequests.length === 0) {
+    return;
+  }
+
+  console.log(logSeparator);
+  console.error(`❌ ${failedRequests.length} WordPress requests failed:`);
+  for (const failure of failedRequests) {
+    console.error(
+      `  ${failure.url} - ${failure.error} (${failure.attempts} ${
+        failure.attempts === 1 ? 'attempt' : 'attempts'
+      })`
+    );
+  }
+  console.log(logSeparator);
+  process.exitCode = 1;
+}
+
+/**
+ * Migration state (resume) helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Ledger records keyed by `${wpType}:${wpId}` (e.g. 'post:123'), plus the
+ * phases that have fully completed.
+ */
+let migrationState = {
+  objects: {},
+  phases: {},
+};
+
+/**
+ * Load the ledger, or start a fresh one for a full migration.
+ * The file is JSON Lines, appended to as we go, so a crash can at worst
+ * leave one half-written line at the end, which we ignore.
+ * @param {Boolean} fresh - clear the ledger rather than loading it
+ */
+function loadMigrationState(fresh) {
+  if (fresh && !cliOptions.dryRun) {
+    fs.writeFileSync(STATE_FILE, '');
+    console.log(`Recording migration state in ${path.basename(STATE_FILE)}`);
+    return;
+  }
+
+  if (!fs.existsSync(STATE_FILE)) {
+    if (cliOptions.resume) {
+      console.warn(`⚠ --resume was passed but there is no state file yet`);
+    }
+    return;
+  }
+
+  const stateFile = fs.readFileSync(STATE_FILE, 'utf8');
+  const lines = stateFile.split('\n');
+
+  // Make sure new records don't get glued onto a half-written last line
+  if (stateFile && !stateFile.endsWith('\n')) {
+    fs.appendFileSync(STATE_FILE, '\n');
+  }
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      console.warn(`⚠ Ignoring unreadable state line: ${line.slice(0, 80)}`);
+      continue;
+    }
+
+    if (record.phaseCompleted) {
+      migrationState.phases[record.phaseCompleted] = record.at;
+    } else {
+      const key = `${record.wpType}:${record.wpId}`;
+      migrationState.objects[key] = {
+        ...migrationState.objects[key],
+        ...record,
+      };
+    }
+  }
+
+  console.log(
+    `Loaded migration state: ${
+      Object.keys(migrationState.objects).length
+    } objects already recorded, completed phases: ${
+      Object.keys(migrationState.phases).join(', ') || 'none'
+    }`
+  );
+}
+
+/**
+ * Record what a WordPress object became in Contentful.
+ * @param {String} wpType - type of WordPress object (post, author, tag, asset...)
+ * @param {Number|String} wpId - WordPress ID (or asset ID for assets)
+ * @param {Object} details - contentfulId, phase ('created' or 'published') and anything else worth keeping
+ */
+function recordState(wpType, wpId, details) {
+  // A dry run hasn't created anything, so there's nothing to resume from
+  if (cliOptions.dryRun) {
+    return;
+  }
+
+  const record = {
+    wpType: wpType,
+    wpId: wpId,
+    ...details,
+    at: new Date().toISOString(),
+  };
+  const key = `${wpType}:${wpId}`;
+
+  migrationState.objects[key] = { ...migrationState.objects[key], ...record };
+  fs.appendFileSync(STATE_FILE, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Record that a whole phase of the migration has finished.
+ * @param {String} phase - e.g. 'assets', 'authors'
+ */
+function recordPhaseComplete(phase) {
+  if (cliOptions.dryRun) {
+    return;
+  }
+
+  const at = new Date().toISOString();
+  migrationState.phases[phase] = at;
+  fs.appendFileSync(
+    STATE_FILE,
+    JSON.stringify({ phaseCompleted: phase, at: at }) + '\n'
+  );
+}
+
+/**
+ * When resuming, get the ledger record for an object that was already
+ * published, so the caller can skip it.
+ * @param {String} wpType - type of WordPress object
+ * @param {Number|String} wpId - WordPress ID
+ * @returns {Object|null} - ledger record, or null if there's work to do
+ */
+function getCompletedRecord(wpType, wpId) {
+  if (!cliOptions.resume) {
+    return null;
+  }
+
+  const record = migrationState.objects[`${wpType}:${wpId}`];
+  return record && record.phase === 'published' ? record : null;
+}
+
+/**
+ * Get every ledger record of the given WordPress types that made it into
+ * Contentful, so a phase run on its own can link to earlier phases' work.
+ * @param {Array} wpTypes - e.g. ['tag', 'category']
+ * @returns {Array} - ledger records with a contentfulId
+ */
+function getRecordedObjects(wpTypes) {
+  return Object.values(migrationState.objects).filter(
+    (record) => wpTypes.includes(record.wpType) && record.contentfulId
+  );
+}
+
+/**
+ * Command line helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Parse the command line into a command and its options.
+ * Exits with the usage text if anything is off.
+ * @param {Array} args - process.argv without node and the script path
+ * @returns {Object} - { command, limit, onlySlugs, since, phase, resume, dryRun, dryRunDir, config, locale, concurrency, retries, timeout, skipValidation, help }
+ */
+function parseCliArguments(args) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args: args,
+      allowPositionals: true,
+      options: {
+        limit: { type: 'string' },
+        'only-slugs': { type: 'string' },
+        since: { type: 'string' },
+        phase: { type: 'string' },
+        resume: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        'dry-run-dir': { type: 'string', default: 'dry-run' },
+        config: { type: 'string' },
+        locale: { type: 'string' },
+        concurrency: { type: 'string' },
+        retries: { type: 'string' },
+        timeout: { type: 'string' },
+        'skip-validation': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    exitWithUsage(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals[0] || 'migrate';
+
+  if (command !== 'migrate' && !PHASES.includes(command)) {
+    exitWithUsage(`Unknown command: ${command}`);
+  }
+
+  const limit = values.limit !== undefined ? Number(values.limit) : null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    exitWithUsage(`--limit must be a positive whole number`);
+  }
+
+  const since = values.since ? new Date(values.since) : null;
+  if (since && Number.isNaN(since.getTime())) {
+    exitWithUsage(`--since must be a date, e.g. 2023-01-01`);
+  }
+
+  const concurrency =
+    values.concurrency !== undefined ? Number(values.concurrency) : null;
+  if (
+    concurrency !== null &&
+    (!Number.isInteger(concurrency) || concurrency < 1)
+  ) {
+    exitWithUsage(`--concurrency must be a positive whole number`);
+  }
+
+  const retries = values.retries !== undefined ? Number(values.retries) : null;
+  if (retries !== null && (!Number.isInteger(retries) || retries < 0)) {
+    exitWithUsage(`--retries must be a whole number`);
+  }
+
+  const timeout = values.timeout !== undefined ? Number(values.timeout) : null;
+  if (timeout !== null && (!Number.isInteger(timeout) || timeout < 1)) {
+    exitWithUsage(`--timeout must be a positive whole number of milliseconds`);
+  }
+
+  if (values.phase && !PHASES.includes(values.phase)) {
+    exitWithUsage(`--phase must be one of: ${PHASES.join(', ')}`);
+  }
+
+  if (values.phase && command !== 'migrate') {
+    exitWithUsage(`--phase can only be used with the migrate command`);
+  }
+
+  return {
+    command: command,
+    limit: limit,
+    onlySlugs: values['only-slugs']
+      ? values['only-slugs'].split(',').map((slug) => slug.trim())
+      : null,
+    since: since,
+    phase: values.phase || null,
+    resume: values.resume,
+    dryRun: values['dry-run'],
+    dryRunDir: path.resolve(values['dry-run-dir']),
+    config: values.config || null,
+    locale: values.locale || null,
+    concurrency: concurrency,
+    retries: retries,
+    timeout: timeout,
+    skipValidation: values['skip-validation'],
+    help: values.help,
+  };
+}
+
+/**
+ * Print an error and the usage text, then exit.
+ * @param {String} message - what was wrong with the command line
+ */
+function exitWithUsage(message) {
+  console.error(usage);
+  console.error('');
+  exitWithError(message);
+}
+
+/**
+ * Print an error and exit.
+ * @param {String} message - what went wrong
+ */
+function exitWithError(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Work out which phases this run covers.
+ * @returns {Array} - phase names, in order
+ */
+function getPhasesToRun() {
+  if (cliOptions.command !== 'migrate') {
+    return [cliOptions.command];
+  }
+
+  return PHASES.slice(PHASES.indexOf(cliOptions.phase || 'fetch'));
+}
+
+/**
+ * Field mapping helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Load the config file, if there is one.
+ * @returns {Object} - the config, or an empty object
+ */
+function loadConfig() {
+  const configPath = cliOptions.config
+    ? path.resolve(cliOptions.config)
+    : path.join(process.cwd(), 'migration.config.js');
+
+  if (!cliOptions.config && !fs.existsSync(configPath)) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = require(configPath);
+  } catch (error) {
+    exitWithError(`Could not load config ${configPath}: ${error.message}`);
+  }
+
+  console.log(`Using config from ${configPath}`);
+  return config;
+}
+
+/**
+ * Lay the config's field mapping over the defaults.
+ * Each entry type in the config replaces the default's contentType and/or
+ * fields as a whole, so leaving a field out of `fields` drops it.
+ * @param {Object} config - contents of the config file
+ * @returns {Object} - mapping in the same shape as defaultMapping
+ */
+function getMapping(config) {
+  if (
+    !Array.isArray(postTypes) ||
+    postTypes.length === 0 ||
+    postTypes.some((postType) => typeof postType !== 'string')
+  ) {
+    exitWithError(`postTypes in the config must be a list of post type slugs`);
+  }
+
+  const loadedMapping = {};
+  for (const entryType of [
+    ...postTypes,
+    'author',
+    ...Object.keys(TAXONOMIES),
+  ]) {
+    loadedMapping[entryType] = {
+      ...defaultMapping[entryType],
+      ...config[entryType],
+    };
+  }
+
+  const problems = validateMapping(loadedMapping);
+  if (problems.length > 0) {
+    exitWithError(`Invalid field mapping:\n  ${problems.join('\n  ')}`);
+  }
+
+  return loadedMapping;
+}
+
+/**
+ * Check a field mapping for mistakes we'd otherwise only find halfway
+ * through a migration.
+ * @param {Object} mappingToCheck - mapping in the same shape as defaultMapping
+ * @returns {Array} - descriptions of each problem found
+ */
+function validateMapping(mappingToCheck) {
+  const problems = [];
+
+  const linkTargets = Object.keys(mappingToCheck);
+
+  for (const [entryType, entryMapping] of Object.entries(mappingToCheck)) {
+    if (!entryMapping.contentType) {
+      problems.push(`${entryType}: contentType is missing`);
+    }
+    if (!entryMapping.fields) {
+      problems.push(`${entryType}: fields are missing`);
+    }
+
+    for (const [fieldId, spec] of Object.entries(entryMapping.fields || {})) {
+      const name = `${entryType}.fields.${fieldId}`;
+      const sources = ['source', 'acf', 'yoast', 'compute'].filter(
+        (key) => spec[key] !== undefined
+      );
+
+      if (sources.length !== 1) {
+        problems.push(
+          `${name}: needs exactly one of source, acf, yoast or compute`
+        );
+      }
+      if (spec.compute !== undefined && typeof spec.compute !== 'function') {
+        problems.push(`${name}: compute must be a function`);
+      }
+      if (!FIELD_TYPES.includes(spec.type)) {
+        problems.push(`${name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      if (spec.type === 'Link' && !spec.linkType) {
+        problems.push(`${name}: Link fields need a linkType`);
+      }
+      if (spec.linkType && !['Asset', 'Entry'].includes(spec.linkType)) {
+        problems.push(`${name}: linkType must be Asset or Entry`);
+      }
+      const linkTo = [].concat(spec.linkTo);
+      if (
+        spec.linkType === 'Entry' &&
+        !linkTo.every((target) => linkTargets.includes(target))
+      ) {
+        problems.push(
+          `${name}: entry links need linkTo, one of ${linkTargets.join(', ')}`
+        );
+      }
+      if (
+        (Array.isArray(spec.source) || Array.isArray(spec.linkTo)) &&
+        (spec.type !== 'Array' ||
+          !Array.isArray(spec.source) ||
+          !Array.isArray(spec.linkTo) ||
+          spec.source.length !== spec.linkTo.length)
+      ) {
+        problems.push(
+          `${name}: several sources need an Array of entry links with a linkTo for each`
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read the existingEntries setting from the config, checking that each
+ * field matched on is in that entry type's mapping.
+ * @param {Object} config - contents of the config file
+ * @returns {Object} - { policy, match } with match keyed by entry type
+ */
+function getExistingEntriesPolicy(config) {
+  const settings = config.existingEntries || {};
+  const policy = settings.policy || 'create';
+  const match = {
+    author: 'name',
+    tag: 'name',
+    category: 'name',
+    ...settings.match,
+  };
+
+  if (!EXISTING_ENTRY_POLICIES.includes(policy)) {
+    exitWithError(
+      `existingEntries.policy in the config must be one of: ${EXISTING_ENTRY_POLICIES.join(
+        ', '
+      )}`
+    );
+  }
+
+  if (policy === 'create') {
+    return { policy: policy, match: {} };
+  }
+
+  for (const [entryType, fieldId] of Object.entries(match)) {
+    if (!['author', ...Object.keys(TAXONOMIES)].includes(entryType)) {
+      exitWithError(
+        `existingEntries.match in the config can only match authors, tags and categories, not ${entryType}`
+      );
+    }
+    if (fieldId && !mapping[entryType].fields[fieldId]) {
+      exitWithError(
+        `existingEntries.match.${entryType} in the config must be a field of the ${entryType} mapping, ${fieldId} isn't`
+      );
+    }
+  }
+
+  return { policy: policy, match: match };
+}
+
+/**
+ * Read a value out of a WordPress object by dot path, e.g. 'title.rendered'.
+ * @param {Object} wpObject - WordPress REST API object
+ * @param {String} fieldPath - dot separated path
+ * @returns {*} - the value, or undefined if any part of the path is missing
+ */
+function getValueAtPath(wpObject, fieldPath) {
+  return fieldPath
+    .split('.')
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? undefined : value[key],
+      wpObject
+    );
+}
+
+/**
+ * Pull the value of every mapped field out of a WordPress object.
+ * Values are kept as WordPress has them (IDs, HTML...) and only converted
+ * to Contentful's format by buildEntryFields(), once links can be resolved.
+ * @param {Object} wpObject - WordPress REST API object (post, user, term)
+ * @param {Object} fieldSpecs - `fields` from the mapping
+ * @returns {Object} - WordPress values keyed by Contentful field ID
+ */
+function mapFields(wpObject, fieldSpecs) {
+  const values = {};
+
+  for (const [fieldId, spec] of Object.entries(fieldSpecs)) {
+    if (spec.compute) {
+      values[fieldId] = spec.compute(wpObject, COMPUTE_HELPERS);
+    } else if (spec.acf) {
+      values[fieldId] = wpObject.acf?.[spec.acf];
+    } else if (spec.yoast) {
+      values[fieldId] = wpObject.yoast_head_json?.[spec.yoast];
+    } else if (
+      spec.type === 'RichText' &&
+      spec.source === 'content.rendered' &&
+      hasBlockMarkup(wpObject.content?.raw) &&
+      canConvertBlocks(wpObject.content.raw)
+    ) {
+      // Fetched with context=edit: convert the blocks rather than their HTML
+      values[fieldId] = wpObject.content.raw;
+    } else if (Array.isArray(spec.source)) {
+      // One list of IDs per source, linked to the linkTo in the same place
+      values[fieldId] = spec.source.map((source) =>
+        getValueAtPath(wpObject, source)
+      );
+    } else {
+      values[fieldId] = getValueAtPath(wpObject, spec.source);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Turn mapped WordPress values into localised Contentful fields.
+ * Fields without a usable value (e.g. a link we couldn't resolve) are left
+ * out rather than sent empty.
+ * @param {Object} fieldSpecs - `fields` from the mapping
+ * @param {Object} values - output of mapFields()
+ * @param {Object} context - { label, assets, report, embeddedEntries } used
+ *   for conversion and logging, `report` (optional) collects missing links
+ *   and warnings, `embeddedEntries` (optional) entries the Rich Text embeds
+ * @param {Object} translations - optional: { locale: { values, fieldIds } }
+ *   with mapped values of translations and the localized fields to write them to
+ * @returns {Promise<Object>} - Contentful fields, e.g. { title: { 'en-US': 'Hello' } }
+ */
+async function buildEntryFields(fieldSpecs, values, context, translations) {
+  const fields = {};
+
+  for (const [fieldId, spec] of Object.entries(fieldSpecs)) {
+    const value = await convertFieldValue(
+      fieldId,
+      spec,
+      values[fieldId],
+      context
+    );
+
+    if (value !== undefined) {
+      fields[fieldId] = {
+        [ctfLocale]: value,
+      };
+    }
+  }
+
+  for (const [locale, translation] of Object.entries(translations || {})) {
+    for (const fieldId of translation.fieldIds) {
+      if (!fieldSpecs[fieldId]) {
+        continue;
+      }
+
+      const value = await convertFieldValue(
+        fieldId,
+        fieldSpecs[fieldId],
+        translation.values[fieldId],
+        { ...context, label: `${context.label} (${locale})` }
+      );
+
+      if (value !== undefined) {
+        fields[fieldId] = { ...fields[fieldId], [locale]: value };
+      }
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Convert one mapped WordPress value to its Contentful field type.
+ * @param {String} fieldId - Contentful field ID (for logging)
+ * @param {Object} spec - field spec from the mapping
+ * @param {*} value - WordPress value
+ * @param {Object} context - { label, assets, report, embeddedEntries }
+ * @returns {Promise<*>} - Contentful value, or undefined to leave the field out
+ */
+async function convertFieldValue(fieldId, spec, value, context) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  switch (spec.type) {
+    case 'RichText':
+      return convertContentToRichText(
+        value,
+        context.assets,
+        context.label,
+        context.report?.warnings,
+        context.embeddedEntries
+      );
+
+    case 'Date':
+      return formatContentfulDate(value);
+
+    case 'Integer':
+    case 'Number': {
+      const number =
+        spec.type === 'Integer' ? parseInt(value, 10) : Number(value);
+      return Number.isNaN(number) ? undefined : number;
+    }
+
+    case 'Boolean':
+      return Boolean(value);
+
+    case 'Link': {
+      const link = resolveLink(spec, value, context.assets);
+      if (link) {
+        console.log(`✓ Linked ${fieldId}: ${link.sys.id}`);
+      } else if (value) {
+        console.warn(
+          `⚠ Could not find Contentful ${spec.linkType.toLowerCase()} for ${fieldId} (WordPress ID ${value}) in ${
+            context.label
+          }`
+        );
+        recordMissingLink(context.report, fieldId, spec, value);
+      }
+      return link || undefined;
+    }
+
+    case 'Array': {
+      const items = Array.isArray(value) ? value : [value];
+
+      if (!spec.linkType) {
+        return items.map((item) => String(item));
+      }
+
+      // With several sources, each item links to the linkTo of its source
+      const targets = Array.isArray(spec.linkTo)
+        ? spec.linkTo.flatMap((linkTo, i) =>
+            [].concat(items[i] ?? []).map((item) => ({
+              spec: { ...spec, linkTo: linkTo },
+              item: item,
+            }))
+          )
+        : items.map((item) => ({ spec: spec, item: item }));
+
+      // Skip links we can't resolve, and don't link the same thing twice
+      const links = [];
+      for (const { spec: itemSpec, item } of targets) {
+        const link = resolveLink(itemSpec, item, context.assets);
+        if (!link) {
+          recordMissingLink(context.report, fieldId, itemSpec, item);
+        } else if (!links.some((l) => l.sys.id === link.sys.id)) {
+          links.push(link);
+        }
+      }
+
+      if (links.length > 0) {
+        console.log(`✓ Linked ${links.length} ${fieldId}`);
+        return links;
+      }
+      return undefined;
+    }
+
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Find the Contentful asset or entry a WordPress ID was migrated to.
+ * @param {Object} spec - field spec with linkType (and linkTo for entries)
+ * @param {Number|String} wpId - WordPress ID (media, user, tag, category or
+ *   post), or the URL of a file uploaded by the assets phase (e.g. an avatar)
+ * @param {Array} assets - created assets ({ assetId, fileName })
+ * @returns {Object|null} - Contentful Link, or null if there isn't one
+ */
+function resolveLink(spec, wpId, assets) {
+  // WordPress uses 0 for "no featured image" and the like
+  if (!wpId) {
+    return null;
+  }
+
+  let targetId = null;
+
+  if (spec.linkType === 'Asset') {
+    // The media item may have been merged into another asset with the same file
+    const assetId = isFileUrl(wpId)
+      ? getAssetId({ link: wpId })
+      : getContentfulId('media', wpId);
+    const asset = (assets || []).find(
+      (a) => a.assetId === assetId || a.sourceId === assetId
+    );
+    targetId = asset ? asset.assetId : null;
+  } else if (spec.linkTo === 'author') {
+    const author = (contentfulData.authors || []).find(
+      (a) => a.authorId === wpId
+    );
+    targetId = author ? author.contentfulId : null;
+  } else if (TAXONOMIES[spec.linkTo]) {
+    const term = (contentfulData[TAXONOMIES[spec.linkTo]] || []).find(
+      (t) => t.termId === wpId
+    );
+    targetId = term ? term.contentfulId : null;
+  } else if (postTypes.includes(spec.linkTo)) {
+    // Posts and pages only exist once this run or an earlier one creates them
+    const isMigrated =
+      postsToMigrate.some(
+        (post) => post.type === spec.linkTo && post.id === wpId
+      ) ||
+      getRecordedObjects([spec.linkTo]).some((record) => record.wpId === wpId);
+    targetId = isMigrated ? getContentfulId(spec.linkTo, wpId) : null;
+  }
+
+  if (!targetId) {
+    return null;
+  }
+
+  return {
+    sys: {
+      type: 'Link',
+      linkType: spec.linkType,
+      id: targetId,
+    },
+  };
+}
+
+/**
+ * Note a link we couldn't resolve (e.g. an author that wasn't migrated) in
+ * the post's migration report.
+ * @param {Object} report - post report, or undefined if we're not keeping one
+ * @param {String} fieldId - Contentful field ID
+ * @param {Object} spec - field spec with linkType (and linkTo for entries)
+ * @param {Number} wpId - WordPress ID that didn't resolve
+ */
+function recordMissingLink(report, fieldId, spec, wpId) {
+  if (!report || !wpId) {
+    return;
+  }
+
+  report.missingLinks.push({
+    field: fieldId,
+    linkTo: spec.linkType === 'Asset' ? 'asset' : spec.linkTo,
+    wpId: wpId,
+  });
+}
+
+/**
+ * Format a WordPress date for a Contentful Date field.
+ * WordPress leaves the timezone off, so values without one are treated as
+ * UTC (map `date_gmt` rather than `date`).
+ * @param {String} value - WordPress date, e.g. '2023-01-31T09:00:00'
+ * @returns {String} - ISO 8601 date with timezone
+ */
+function formatContentfulDate(value) {
+  const dateString = String(value);
+  return /(Z|[+-]\d{2}:\d{2})$/.test(dateString)
+    ? dateString
+    : `${dateString}+00:00`;
+}
+
+/**
+ * Convert WordPress HTML to Contentful Rich Text, embedding inline images.
+ * Gutenberg block markup (content.raw) is converted block by block.
+ * @param {String} html - WordPress post content
+ * @param {Array} assets - created assets ({ assetId, fileName })
+ * @param {String} label - what we're converting (for logging)
+ * @param {Array} warnings - optional: collects conversion warnings
+ * @param {Array} embeddedEntries - optional: collects entries the document
+ *   embeds, see embedAssetsInRichText()
+ * @returns {Promise<Object>} - Rich Text document
+ */
+async function convertContentToRichText(
+  html,
+  assets,
+  label,
+  warnings = [],
+  embeddedEntries = []
+) {
+  try {
+    let richText = hasBlockMarkup(html)
+      ? await convertBlocksToRichText(html)
+      : await convertHtmlToRichText(html);
+
+    // Process the rich text to embed inline images as asset blocks
+    richText = embedAssetsInRichText(
+      richText,
+      assets,
+      warnings,
+      embeddedEntries
+    );
+
+    // Without a URL pattern, links to other posts are rewritten once their
+    // entries exist, see linkInternalPosts()
+    if (internalLinkUrl) {
+      rewriteInternalLinks(richText, (post, link) => ({
+        ...link,
+        data: { ...link.data, uri: formatInternalLinkUrl(post) },
+      }));
+    }
+
+    return richText;
+  } catch (error) {
+    console.error(`❌ Error converting content for ${label}:`, error.message);
+    warnings.push(`Content conversion error: ${error.message}`);
+    // Fall back to a simple paragraph with error message
+    return {
+      nodeType: 'document',
+      data: {},
+      content: [
+        {
+          nodeType: 'paragraph',
+          data: {},
+          content: [
+            {
+              nodeType: 'text',
+              value: 'Content conversion error. Please check source.',
+              marks: [],
+              data: {},
+            },
+          ],
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Convert HTML to Rich Text by way of Markdown, leaving image placeholders
+ * for embedAssetsInRichText().
+ * @param {String} html - WordPress HTML
+ * @returns {Promise<Object>} - Rich Text document
+ */
+async function convertHtmlToRichText(html) {
+  // Convert HTML to markdown first
+  const markdown = turndownService.turndown(html);
+
+  // Convert markdown to proper Contentful Rich Text format
+  return richTextFromMarkdown(markdown);
+}
+
+/**
+ * Gutenberg block helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Blocks that only lay out other blocks: their inner blocks are converted
+ * one by one, as if they weren't there.
+ */
+const LAYOUT_BLOCKS = [
+  'core/group',
+  'core/columns',
+  'core/column',
+  'core/buttons',
+];
+
+/**
+ * Check whether post content is Gutenberg block markup.
+ * @param {String} content - raw post content
+ * @returns {Boolean}
+ */
+function hasBlockMarkup(content) {
+  return /<!--\s+wp:/.test(content || '');
+}
+
+/**
+ * Parse Gutenberg block markup into blocks, the way WordPress's own block
+ * parser does. HTML outside any block (classic content) becomes a
+ * core/freeform block.
+ * @param {String} markup - raw post content
+ * @returns {Array} - blocks: { name, attrs, innerBlocks, innerContent },
+ *   where innerContent is the block's HTML, with null where each inner
+ *   block goes. Blocks whose attributes aren't valid JSON get empty attrs
+ *   and invalidAttrs: true
+ */
+function parseBlocks(markup) {
+  const delimiter =
+    /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(?:(\{[\s\S]*?\})\s+)?(\/)?-->/g;
+  const root = { innerBlocks: [] };
+  const stack = [root];
+  let position = 0;
+
+  const addHtml = (html) => {
+    const parent = stack[stack.length - 1];
+
+    if (parent !== root) {
+      parent.innerContent.push(html);
+    } else if (html.trim()) {
+      root.innerBlocks.push({
+        name: 'core/freeform',
+        attrs: {},
+        innerBlocks: [],
+        innerContent: [html],
+      });
+    }
+  };
+
+  for (const match of markup.matchAll(delimiter)) {
+    addHtml(markup.slice(position, match.index));
+    position = match.index + match[0].length;
+
+    const [, isCloser, name, attrs, isVoid] = match;
+    const blockName = name.includes('/') ? name : `core/${name}`;
+    const parent = stack[stack.length - 1];
+
+    if (isCloser) {
+      // Closers that don't match the open block are ignored
+      if (parent !== root && parent.name === blockName) {
+        stack.pop();
+      }
+      continue;
+    }
+
+    const block = {
+      name: blockName,
+      attrs: {},
+      innerBlocks: [],
+      innerContent: [],
+    };
+    try {
+      block.attrs = attrs ? JSON.parse(attrs) : {};
+    } catch (error) {
+      // See canConvertBlocks()
+      block.invalidAttrs = true;
+    }
+    parent.innerBlocks.push(block);
+    if (parent !== root) {
+      parent.innerContent.push(null);
+    }
+    if (!isVoid) {
+      stack.push(block);
+    }
+  }
+
+  addHtml(markup.slice(position));
+  return root.innerBlocks;
+}
+
+/**
+ * Check whether the rendered HTML of a post can be rebuilt from its block
+ * markup alone. It can't when WordPress adds content as it renders:
+ * dynamic and reusable blocks save no HTML of their own, shortcodes are
+ * expanded and classic content gets its paragraphs. Those posts (and any
+ * with a broken block comment) are converted from content.rendered.
+ * @param {String} markup - raw post content
+ * @returns {Boolean}
+ */
+function canConvertBlocks(markup) {
+  const isConvertible = (block) => {
+    if (
+      block.invalidAttrs ||
+      block.name === 'core/freeform' ||
+      block.name === 'core/block'
+    ) {
+      return false;
+    }
+
+    if (block.name === 'core/shortcode') {
+      return convertGalleryShortcode(block) !== null;
+    }
+
+    const html = getBlockHtml(block);
+    if (/\[[a-z][\w-]*(\s[^\]]*)?\]/i.test(html)) {
+      return false;
+    }
+
+    return html.trim() !== '' && block.innerBlocks.every(isConvertible);
+  };
+
+  return parseBlocks(markup).every(isConvertible);
+}
+
+/**
+ * Get a block's HTML, including its inner blocks' (without the comments).
+ * @param {Object} block - block from parseBlocks()
+ * @returns {String}
+ */
+function getBlockHtml(block) {
+  let innerBlockIndex = 0;
+
+  return block.innerContent
+    .map((part) =>
+      part === null ? getBlockHtml(block.innerBlocks[innerBlockIndex++]) : part
+    )
+    .join('');
+}
+
+/**
+ * Replace layout blocks with the blocks inside them, see LAYOUT_BLOCKS.
+ * @param {Array} blocks - blocks from parseBlocks()
+ * @returns {Array} - blocks
+ */
+function flattenLayoutBlocks(blocks) {
+  return blocks.flatMap((block) =>
+    LAYOUT_BLOCKS.includes(block.name) && block.innerBlocks.length > 0
+      ? flattenLayoutBlocks(block.innerBlocks)
+      : [block]
+  );
+}
+
+/**
+ * Convert Gutenberg block markup to Rich Text. Images, tables and embeds
+ * are built from their block attributes; runs of other blocks (paragraphs,
+ * headings, lists, quotes, ...) go through Markdown together, as their HTML
+ * converts well.
+ * @param {String} markup - raw post content, see canConvertBlocks()
+ * @returns {Promise<Object>} - Rich Text document, with image placeholders
+ *   for embedAssetsInRichText()
+ */
+async function convertBlocksToRichText(markup) {
+  const content = [];
+  let html = '';
+
+  const flushHtml = async () => {
+    if (html.trim()) {
+      content.push(...(await convertHtmlToRichText(html)).content);
+    }
+    html = '';
+  };
+
+  for (const block of flattenLayoutBlocks(parseBlocks(markup))) {
+    const nodes = await convertBlock(block);
+
+    if (nodes) {
+      await flushHtml();
+      content.push(...nodes);
+      continue;
+    }
+
+    html += getBlockHtml(block);
+  }
+
+  await flushHtml();
+  return { nodeType: 'document', data: {}, content: content };
+}
+
+/**
+ * Convert the blocks that we build Rich Text for from their attributes.
+ * @param {Object} block - block from parseBlocks()
+ * @returns {Promise<Array|null>} - Rich Text nodes, or null to convert the
+ *   block's HTML instead
+ */
+async function convertBlock(block) {
+  if (block.name === 'core/image') {
+    return convertImageBlock(block);
+  }
+
+  if (block.name === 'core/table') {
+    return convertTableBlock(block);
+  }
+
+  if (block.name === 'core/gallery') {
+    return convertGalleryBlock(block);
+  }
+
+  if (block.name === 'core/shortcode') {
+    return convertGalleryShortcode(block);
+  }
+
+  // Embeds used to have a block per provider (core-embed/youtube)
+  if (block.name === 'core/embed' || block.name.startsWith('core-embed/')) {
+    return convertEmbedBlock(block);
+  }
+
+  return null;
+}
+
+/**
+ * Turn an image block into an image placeholder, with the attachment ID so
+ * it matches its asset exactly, and its caption, link and alignment.
+ * @param {Object} block - core/image block
+ * @returns {Array|null} - Rich Text nodes
+ */
+function convertImageBlock(block) {
+  const image = getImageBlockDetails(block);
+  if (!image) {
+    return null;
+  }
+
+  const { fileName, ...details } = image;
+  return [getPlaceholderParagraph(getImagePlaceholder(fileName, details))];
+}
+
+/**
+ * Read an image block: its file, attachment ID, alt text, caption, link
+ * and alignment.
+ * @param {Object} block - core/image block
+ * @returns {Object|null} - { fileName, alt, caption, link, alignment,
+ *   mediaId }, or null if it has no image
+ */
+function getImageBlockDetails(block) {
+  const html = getBlockHtml(block);
+  const imgTag = html.match(/<img\s[^>]*>/);
+
+  if (!imgTag) {
+    return null;
+  }
+
+  const src = getHtmlAttribute(imgTag[0], 'src') || '';
+  const linkTag = html.match(/<a\s[^>]*>/);
+  const caption = html.match(/<figcaption[^>]*>([\s\S]*?)<\/figcaption>/);
+
+  // Links to the image's file or attachment page would point at WordPress
+  let link = linkTag ? getHtmlAttribute(linkTag[0], 'href') : null;
+  if (
+    ['media', 'attachment'].includes(block.attrs.linkDestination) ||
+    (link && normalizeUploadUrl(link) === normalizeUploadUrl(src))
+  ) {
+    link = null;
+  }
+
+  return {
+    fileName: getUrlFileName(src),
+    src: src,
+    alt: getHtmlAttribute(imgTag[0], 'alt'),
+    caption: caption ? getHtmlText(caption[1]) : null,
+    link: link,
+    alignment: block.attrs.align,
+    mediaId: block.attrs.id,
+  };
+}
+
+/**
+ * Turn a gallery block into a gallery placeholder. Since WordPress 5.9 its
+ * images are image blocks; older galleries are left to their HTML.
+ * @param {Object} block - core/gallery block
+ * @returns {Array|null} - Rich Text nodes
+ */
+function convertGalleryBlock(block) {
+  const images = block.innerBlocks
+    .filter((innerBlock) => innerBlock.name === 'core/image')
+    .map((innerBlock) => getImageBlockDetails(innerBlock))
+    .filter((image) => image);
+
+  if (images.length === 0) {
+    return null;
+  }
+
+  // The gallery's own caption sits around its inner blocks
+  const ownHtml = block.innerContent.filter((part) => part !== null).join('');
+  const caption = ownHtml.match(/<figcaption[^>]*>([\s\S]*?)<\/figcaption>/);
+
+  return [
+    getPlaceholderParagraph(
+      getBlockPlaceholder('GALLERY', {
+        images: images,
+        caption: caption ? getHtmlText(caption[1]) || null : null,
+      })
+    ),
+  ];
+}
+
+/**
+ * Turn a shortcode block holding [gallery ids="1,2,3"] into a gallery
+ * placeholder, with its images' captions from the media library. Other
+ * shortcodes are left to their HTML.
+ * @param {Object} block - core/shortcode block
+ * @returns {Array|null} - Rich Text nodes
+ */
+function convertGalleryShortcode(block) {
+  const shortcode = getBlockHtml(block)
+    .trim()
+    .match(/^\[gallery\s[^\]]*\bids\s*=\s*["']?([\d,\s]+)["']?[^\]]*\]$/);
+
+  if (!shortcode) {
+    return null;
+  }
+
+  const images = shortcode[1]
+    .split(',')
+    .map((id) => parseInt(id, 10))
+    .filter((id) => id > 0)
+    .map((id) => {
+      const media = findWordPressMedia(id);
+      return {
+        fileName: media ? getUrlFileName(media.source_url) : String(id),
+        src: media?.source_url || null,
+        alt: media?.alt_text || null,
+        caption: media?.caption ? getHtmlText(media.caption.rendered) : null,
+        mediaId: id,
+      };
+    });
+
+  return [
+    getPlaceholderParagraph(
+      getBlockPlaceholder('GALLERY', { images: images, caption: null })
+    ),
+  ];
+}
+
+/**
+ * Turn a table block into a Rich Text table. Header cells (<th>) become
+ * table-header-cell nodes; the table's caption follows it in italics.
+ * @param {Object} block - core/table block
+ * @returns {Promise<Array|null>} - Rich Text nodes
+ */
+async function convertTableBlock(block) {
+  const html = getBlockHtml(block);
+  const rows = [];
+
+  for (const row of html.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/g)) {
+    const cells = [];
+
+    for (const cell of row[1].matchAll(/<(td|th)[^>]*>([\s\S]*?)<\/\1>/g)) {
+      const isHeader = cell[1] === 'th';
+      cells.push({
+        nodeType: isHeader ? 'table-header-cell' : 'table-cell',
+        data: {},
+        content: await getTableCellContent(cell[2], isHeader),
+      });
+    }
+
+    if (cells.length > 0) {
+      rows.push({ nodeType: 'table-row', data: {}, content: cells });
+    }
+  }
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const nodes = [{ nodeType: 'table', data: {}, content: rows }];
+  const caption = html.match(/<figcaption[^>]*>([\s\S]*?)<\/figcaption>/);
+  if (caption && getHtmlText(caption[1])) {
+    nodes.push(getCaptionParagraph({ caption: getHtmlText(caption[1]) }));
+  }
+
+  return nodes;
+}
+
+/**
+ * Convert a table cell's HTML to the blocks Rich Text allows in a cell:
+ * paragraphs, and in body cells lists. Headings and the like keep their
+ * text as a paragraph.
+ * @param {String} html - HTML inside the <td> or <th>
+ * @param {Boolean} isHeader - whether it's a header cell
+ * @returns {Promise<Array>} - Rich Text nodes, at least one paragraph
+ */
+async function getTableCellContent(html, isHeader) {
+  const allowedTypes = isHeader
+    ? ['paragraph']
+    : ['paragraph', 'unordered-list', 'ordered-list'];
+  const nodes = (await convertHtmlToRichText(html)).content.flatMap((node) => {
+    if (allowedTypes.includes(node.nodeType)) {
+      return [node];
+    }
+    if (node.nodeType.startsWith('heading-')) {
+      return [{ ...node, nodeType: 'paragraph' }];
+    }
+    return (node.content || []).filter((child) =>
+      allowedTypes.includes(child.nodeType)
+    );
+  });
+
+  return nodes.length > 0
+    ? nodes
+    : [
+        {
+          nodeType: 'paragraph',
+          data: {},
+          content: [{ nodeType: 'text', value: '', marks: [], data: {} }],
+        },
+      ];
+}
+
+/**
+ * Turn an embed block (YouTube, Twitter, ...) into an embed placeholder.
+ * @param {Object} block - core/embed block
+ * @returns {Array|null} - Rich Text nodes
+ */
+function convertEmbedBlock(block) {
+  const url = block.attrs.url;
+
+  if (!url) {
+    return null;
+  }
+
+  const embed = getEmbed(url, { provider: block.attrs.providerNameSlug });
+  return [getPlaceholderParagraph(getBlockPlaceholder('EMBED', embed))];
+}
+
+/**
+ * Wrap a placeholder in a paragraph, as it comes out of Markdown.
+ * @param {String} placeholder - image, embed or gallery placeholder
+ * @returns {Object} - Rich Text paragraph
+ */
+function getPlaceholderParagraph(placeholder) {
+  return {
+    nodeType: 'paragraph',
+    data: {},
+    content: [{ nodeType: 'text', value: placeholder, marks: [], data: {} }],
+  };
+}
+
+/**
+ * Get an attribute of an HTML tag, with entities decoded.
+ * @param {String} tag - HTML of the tag, e.g. '<img src="...">'
+ * @param {String} name - attribute name
+ * @returns {String|null}
+ */
+function getHtmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(['"])(.*?)\\1`, 'i'));
+  return match ? decodeHtmlEntities(match[2]) : null;
+}
+
+/**
+ * Get the text of a piece of HTML: tags stripped, entities decoded and
+ * whitespace collapsed.
+ * @param {String} html - HTML
+ * @returns {String}
+ */
+function getHtmlText(html) {
+  return decodeHtmlEntities(html.replace(/<[^>]+>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Decode the HTML entities WordPress writes into block markup.
+ * @param {String} text - text with entities, e.g. 'Fish &amp; chips'
+ * @returns {String}
+ */
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint =
+        code[1].toLowerCase() === 'x'
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      // Out of range, or half of a surrogate pair: not a character
+      const isCharacter =
+        codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+      return isCharacter ? String.fromCodePoint(codePoint) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Content model validation.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Contentful field types each mapping type can be written to.
+ */
+const COMPATIBLE_FIELD_TYPES = {
+  Symbol: ['Symbol', 'Text'],
+  Text: ['Text', 'Symbol'],
+  RichText: ['RichText'],
+  Date: ['Date'],
+  Integer: ['Integer', 'Number'],
+  Number: ['Number'],
+  Boolean: ['Boolean'],
+  Link: ['Link'],
+  Array: ['Array'],
+};
+
+/**
+ * Contentful's own limit on Symbol fields, on top of any size validation.
+ */
+const SYMBOL_MAX_LENGTH = 256;
+
+/**
+ * Check everything we're about to write against the live content model,
+ * and report every problem at once, before any entry is created.
+ * @param {Object} environment - Contentful Environment
+ * @returns {Promise<Array>} - violations ({ object, field, message })
+ */
+async function validateContentModel(environment) {
+  console.log(logSeparator);
+  console.log(`Validating against the Contentful content model...`);
+  console.log(logSeparator);
+
+  const violations = [];
+  const objectsByType = getObjectsToValidate();
+
+  for (const [entryType, entryMapping] of Object.entries(mapping)) {
+    const contentType = await findExisting(
+      (id) => environment.getContentType(id),
+      entryMapping.contentType
+    );
+
+    if (!contentType) {
+      violations.push({
+        object: `${entryType} (${entryMapping.contentType})`,
+        field: null,
+        message: `content type ${entryMapping.contentType} does not exist`,
+      });
+      continue;
+    }
+
+    violations.push(
+      ...checkFieldDefinitions(entryType, entryMapping, contentType)
+    );
+    violations.push(
+      ...checkFieldValues(entryMapping, contentType, objectsByType[entryType])
+    );
+  }
+
+  if (figureSettings) {
+    violations.push(
+      ...(await checkEmbeddedEntryType(environment, 'figures', figureSettings))
+    );
+  }
+  if (gallerySettings) {
+    violations.push(
+      ...(await checkEmbeddedEntryType(
+        environment,
+        'galleries',
+        gallerySettings
+      ))
+    );
+  }
+  for (const [kind, settings] of Object.entries(embedSettings)) {
+    violations.push(
+      ...(await checkEmbeddedEntryType(environment, `embeds.${kind}`, settings))
+    );
+  }
+
+  printValidationReport(violations);
+  return violations;
+}
+
+/**
+ * Check that the content type configured for entries we embed in Rich Text
+ * (`figures`, `galleries`, `embeds`) exists and has the fields it's
+ * configured with.
+ * @param {Object} environment - Contentful Environment
+ * @param {String} name - config key, for the report
+ * @param {Object} settings - { contentType, fields: { key: fieldId } }
+ * @returns {Promise<Array>} - violations
+ */
+async function checkEmbeddedEntryType(environment, name, settings) {
+  const object = `${name} (${settings.contentType})`;
+  const contentType = await findExisting(
+    (id) => environment.getContentType(id),
+    settings.contentType
+  );
+
+  if (!contentType) {
+    return [
+      {
+        object: object,
+        field: null,
+        message: `content type ${settings.contentType} does not exist`,
+      },
+    ];
+  }
+
+  return Object.values(settings.fields)
+    .filter((fieldId) => fieldId)
+    .filter((fieldId) => !contentType.fields.some((f) => f.id === fieldId))
+    .map((fieldId) => ({
+      object: object,
+      field: fieldId,
+      message: `field does not exist on the content type`,
+    }));
+}
+
+/**
+ * Gather the mapped values of every post, page, author, tag and category
+ * this run would create, in the shape checkFieldValues() expects.
+ * @returns {Object} - { post: [...], page: [...], author: [...], tag: [...], category: [...] } of { label, values }
+ */
+function getObjectsToValidate() {
+  const authorIds = [...new Set(postsToMigrate.map((post) => post.authorId))];
+  const objects = {};
+
+  for (const postType of postTypes) {
+    objects[postType] = postsToMigrate
+      .filter((post) => post.type === postType)
+      .flatMap((post) => [
+        { label: `${postType} ${post.slug}`, values: post.fields },
+        ...Object.entries(post.translations || {}).map(([locale, values]) => ({
+          label: `${postType} ${post.slug} (${locale})`,
+          values: values,
+        })),
+      ]);
+  }
+
+  for (const termType of Object.keys(TAXONOMIES)) {
+    objects[termType] = getTermsToMigrate(termType).map((term) => ({
+      label: `${termType} ${term.item.name}`,
+      values: mapFields(term.item, mapping[termType].fields),
+    }));
+  }
+
+  return {
+    ...objects,
+    author: authorIds
+      .map((authorId) => getWordPressUser(authorId))
+      .filter((user) => user)
+      .map((user) => ({
+        label: `author ${user.name}`,
+        values: mapFields(user, mapping.author.fields),
+      })),
+  };
+}
+
+/**
+ * Check that every mapped field exists on the content type with a type we
+ * can write to, and that no required field is left unmapped.
+ * @param {String} entryType - post type, author, tag or category
+ * @param {Object} entryMapping - mapping for that entry type
+ * @param {Object} contentType - Contentful content type
+ * @returns {Array} - violations
+ */
+function checkFieldDefinitions(entryType, entryMapping, contentType) {
+  const violations = [];
+  const object = `${entryType} (${contentType.sys.id})`;
+
+  for (const [fieldId, spec] of Object.entries(entryMapping.fields)) {
+    const field = contentType.fields.find((f) => f.id === fieldId);
+
+    if (!field) {
+      violations.push({
+        object: object,
+        field: fieldId,
+        message: `field does not exist on the content type`,
+      });
+      continue;
+    }
+
+    if (field.disabled || field.omitted) {
+      console.warn(
+        `⚠ ${object}.${fieldId} is disabled or omitted in Contentful`
+      );
+    }
+
+    if (!COMPATIBLE_FIELD_TYPES[spec.type].includes(field.type)) {
+      violations.push({
+        object: object,
+        field: fieldId,
+        message: `mapped as ${spec.type} but the field is ${field.type}`,
+      });
+      continue;
+    }
+
+    // For arrays, the link type and its validations live on `items`
+    const linkDefinition = field.type === 'Array' ? field.items : field;
+
+    if (
+      spec.type === 'Array' &&
+      !spec.linkType &&
+      linkDefinition.type !== 'Symbol'
+    ) {
+      violations.push({
+        object: object,
+        field: fieldId,
+        message: `mapped as an Array of Symbols but holds ${linkDefinition.type}s`,
+      });
+    }
+
+    if (spec.linkType && linkDefinition.linkType !== spec.linkType) {
+      violations.push({
+        object: object,
+        field: fieldId,
+        message: `mapped as a link to ${spec.linkType} but links to ${
+          linkDefinition.linkType || linkDefinition.type
+        }`,
+      });
+    }
+
+    if (spec.linkType === 'Entry') {
+      const allowedTypes = getValidation(linkDefinition, 'linkContentType');
+      for (const linkTo of new Set([].concat(spec.linkTo))) {
+        const targetType = mapping[linkTo].contentType;
+
+        if (allowedTypes && !allowedTypes.includes(targetType)) {
+          violations.push({
+            object: object,
+            field: fieldId,
+            message: `links to ${targetType} entries but only accepts ${allowedTypes.join(
+              ', '
+            )}`,
+          });
+        }
+      }
+    }
+  }
+
+  for (const field of contentType.fields) {
+    if (field.required && !field.disabled && !entryMapping.fields[field.id]) {
+      violations.push({
+        object: object,
+        field: field.id,
+        message: `required field is not mapped`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check the value of every mapped field on every object against the
+ * field's validations: required, size, regexp, in, range and unique.
+ * Unique is only checked within this run, not against existing entries.
+ * @param {Object} entryMapping - mapping for the entry type
+ * @param {Object} contentType - Contentful content type
+ * @param {Array} objects - { label, values } from getObjectsToValidate()
+ * @returns {Array} - violations
+ */
+function checkFieldValues(entryMapping, contentType, objects) {
+  const violations = [];
+
+  for (const [fieldId, spec] of Object.entries(entryMapping.fields)) {
+    const field = contentType.fields.find((f) => f.id === fieldId);
+
+    if (!field) {
+      continue;
+    }
+
+    const seenValues = new Map();
+
+    for (const { label, values } of objects) {
+      const value = values[fieldId];
+      const addViolation = (message) =>
+        violations.push({ object: label, field: fieldId, message: message });
+
+      if (isEmptyValue(spec, value)) {
+        if (field.required) {
+          addViolation(`required but has no value`);
+        }
+        continue;
+      }
+
+      // Links are resolved later, all we can check now is that there is one
+      if (spec.type === 'Link' || spec.type === 'RichText') {
+        continue;
+      }
+
+      const size = getValueSize(spec, value);
+      const sizeLimit = getValidation(field, 'size');
+
+      if (sizeLimit && sizeLimit.min !== undefined && size < sizeLimit.min) {
+        addViolation(
+          `has ${size} ${getSizeUnit(spec)}, minimum is ${sizeLimit.min}`
+        );
+      }
+      if (sizeLimit && sizeLimit.max !== undefined && size > sizeLimit.max) {
+        addViolation(
+          `has ${size} ${getSizeUnit(spec)}, maximum is ${sizeLimit.max}`
+        );
+      }
+      if (field.type === 'Symbol' && size > SYMBOL_MAX_LENGTH) {
+        addViolation(
+          `has ${size} characters, Symbol fields hold at most ${SYMBOL_MAX_LENGTH}`
+        );
+      }
+
+      if (
+        spec.type === 'Date' &&
+        Number.isNaN(Date.parse(formatContentfulDate(value)))
+      ) {
+        addViolation(`"${value}" is not a valid date`);
+      }
+
+      const scalarValues = spec.type === 'Array' ? value : [value];
+      const regexp = getValidation(field, 'regexp');
+      const allowedValues = getValidation(field, 'in');
+      const range = getValidation(field, 'range');
+
+      for (const item of scalarValues) {
+        if (
+          regexp &&
+          !new RegExp(regexp.pattern, regexp.flags || '').test(String(item))
+        ) {
+          addViolation(`"${item}" does not match /${regexp.pattern}/`);
+        }
+        if (allowedValues && !allowedValues.includes(item)) {
+          addViolation(`"${item}" is not one of ${allowedValues.join(', ')}`);
+        }
+        if (range && (item < range.min || item > range.max)) {
+          addViolation(`${item} is outside ${range.min}-${range.max}`);
+        }
+      }
+
+      if (getValidation(field, 'unique')) {
+        const key = String(value);
+        if (seenValues.has(key)) {
+          addViolation(
+            `"${key}" is also used by ${seenValues.get(
+              key
+            )}, but must be unique`
+          );
+        } else {
+          seenValues.set(key, label);
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Get a validation rule from a Contentful field (or array items) definition.
+ * @param {Object} field - field definition, or its `items`
+ * @param {String} name - rule name, e.g. 'size', 'linkContentType'
+ * @returns {*} - the rule's value, or undefined if the field doesn't have it
+ */
+function getValidation(field, name) {
+  const validation = (field.validations || []).find((v) => name in v);
+  return validation ? validation[name] : undefined;
+}
+
+/**
+ * Check whether a mapped value counts as missing for a required field.
+ * @param {Object} spec - field spec from the mapping
+ * @param {*} value - mapped WordPress value
+ * @returns {Boolean}
+ */
+function isEmptyValue(spec, value) {
+  if (value === null || value === undefined || value === '') {
+    return true;
+  }
+  if (spec.type === 'Link') {
+    // WordPress uses 0 for "none"
+    return !value;
+  }
+  if (spec.type === 'Array') {
+    return Array.isArray(value) && value.length === 0;
+  }
+  return false;
+}
+
+/**
+ * Size of a value as Contentful's size validation measures it.
+ * @param {Object} spec - field spec from the mapping
+ * @param {*} value - mapped WordPress value
+ * @returns {Number} - array length, or string length
+ */
+function getValueSize(spec, value) {
+  if (spec.type === 'Array') {
+    return Array.isArray(value) ? value.length : 1;
+  }
+  return String(value).length;
+}
+
+/**
+ * @param {Object} spec - field spec from the mapping
+ * @returns {String} - what getValueSize() counts
+ */
+function getSizeUnit(spec) {
+  return spec.type === 'Array' ? 'items' : 'characters';
+}
+
+/**
+ * Print the validation problems, grouped by the object they belong to.
+ * @param {Array} violations - from validateContentModel()
+ */
+function printValidationReport(violations) {
+  if (violations.length === 0) {
+    console.log(`✓ Everything matches the content model`);
+    console.log(logSeparator);
+    return;
+  }
+
+  const byObject = new Map();
+  for (const violation of violations) {
+    if (!byObject.has(violation.object)) {
+      byObject.set(violation.object, []);
+    }
+    byObject.get(violation.object).push(violation);
+  }
+
+  console.error(
+    `❌ Found ${violations.length} problems in ${byObject.size} content types and entries:`
+  );
+  for (const [object, objectViolations] of byObject) {
+    console.error(`  ${object}`);
+    for (const violation of objectViolations) {
+      console.error(
+        `    - ${violation.field ? `${violation.field}: ` : ''}${
+          violation.message
+        }`
+      );
+    }
+  }
+  console.log(logSeparator);
+}
+
+/**
+ * Asset MIME type helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * What we send when nothing tells us what a file is.
+ */
+const FALLBACK_MIME_TYPE = 'application/octet-stream';
+
+/**
+ * MIME types by file extension, used when WordPress doesn't tell us and
+ * for dry runs, where nothing is downloaded.
+ */
+const MIME_TYPES_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  pdf: 'application/pdf',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+};
+
+/**
+ * File signatures ("magic bytes") we recognise, checked in order.
+ * `offset` is where the signature starts in the file. A `weak` signature is
+ * short enough to turn up at the start of other files too, so it only
+ * counts when WordPress doesn't know the file's type.
+ */
+const MAGIC_NUMBERS = [
+  { mimeType: 'image/png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  { mimeType: 'image/jpeg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  { mimeType: 'image/gif', signature: Buffer.from('GIF8') },
+  { mimeType: 'image/webp', signature: Buffer.from('WEBP'), offset: 8 },
+  { mimeType: 'audio/wav', signature: Buffer.from('WAVE'), offset: 8 },
+  { mimeType: 'video/webm', signature: Buffer.from([0x1a, 0x45, 0xdf, 0xa3]) },
+  { mimeType: 'image/bmp', signature: Buffer.from('BM'), weak: true },
+  { mimeType: 'application/pdf', signature: Buffer.from('%PDF') },
+  { mimeType: 'audio/mpeg', signature: Buffer.from('ID3') },
+  { mimeType: 'audio/ogg', signature: Buffer.from('OggS') },
+];
+
+/**
+ * MP4, QuickTime, HEIC and AVIF files are all ISO base media ("ftyp")
+ * containers; the major brand after `ftyp` says which. Brands we don't
+ * know tell us nothing.
+ */
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  heim: 'image/heic',
+  heis: 'image/heic',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+  'M4V ': 'video/mp4',
+  isom: 'video/mp4',
+  iso2: 'video/mp4',
+  mp41: 'video/mp4',
+  mp42: 'video/mp4',
+  avc1: 'video/mp4',
+  dash: 'video/mp4',
+};
+
+/**
+ * Guess a MIME type from a file name's extension.
+ * @param {String} fileName - e.g. 'photo.PNG'
+ * @returns {String|null} - e.g. 'image/png', or null if we don't know it
+ */
+function getMimeTypeFromFileName(fileName) {
+  const extension = path.extname(fileName.split('?')[0]).slice(1).toLowerCase();
+  return MIME_TYPES_BY_EXTENSION[extension] || null;
+}
+
+/**
+ * Give a file name without an extension (such as an avatar's) the one that
+ * goes with its MIME type.
+ * @param {String} fileName - e.g. 'ada-avatar'
+ * @param {String} mimeType - e.g. 'image/png'
+ * @returns {String} - e.g. 'ada-avatar.png'
+ */
+function addFileExtension(fileName, mimeType) {
+  if (path.extname(fileName)) {
+    return fileName;
+  }
+
+  const extension = Object.keys(MIME_TYPES_BY_EXTENSION).find(
+    (key) => MIME_TYPES_BY_EXTENSION[key] === mimeType
+  );
+  return extension ? `${fileName}.${extension}` : fileName;
+}
+
+/**
+ * Work out a file's MIME type from its first bytes.
+ * SVG is text, so it's recognised by its root element instead.
+ * @param {Buffer} buffer - file contents
+ * @returns {Object|null} - { mimeType, weak }, or null if we don't recognise it
+ */
+function getMimeTypeFromContents(buffer) {
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+    const mimeType = FTYP_BRANDS[buffer.subarray(8, 12).toString('latin1')];
+    return mimeType ? { mimeType: mimeType, weak: false } : null;
+  }
+
+  const match = MAGIC_NUMBERS.find(({ signature, offset = 0 }) =>
+    buffer.subarray(offset, offset + signature.length).equals(signature)
+  );
+
+  if (match) {
+    return { mimeType: match.mimeType, weak: Boolean(match.weak) };
+  }
+
+  const start = buffer.subarray(0, 1024).toString('utf8').trimStart();
+  if (
+    /^(<\?xml|<!--|<!doctype svg|<svg)/i.test(start) &&
+    /<svg[\s>]/i.test(start)
+  ) {
+    return { mimeType: 'image/svg+xml', weak: false };
+  }
+
+  return null;
+}
+
+/**
+ * Normalise a Content-Type header value, dropping parameters such as
+ * charset and anything too generic to tell us what the file is.
+ * @param {String} header - e.g. 'image/png; charset=binary'
+ * @returns {String|null}
+ */
+function parseContentTypeHeader(header) {
+  const mimeType = (header || '').split(';')[0].trim().toLowerCase();
+
+  if (!mimeType || mimeType === FALLBACK_MIME_TYPE) {
+    return null;
+  }
+
+  return mimeType;
+}
+
+/**
+ * Decide which MIME type to give Contentful for a downloaded file.
+ * The file's own contents win, then the WordPress media library's
+ * mime_type, then the server's Content-Type, then the file extension.
+ * A weak signature comes after WordPress's mime_type instead.
+ * When they disagree we say so, since it usually means a misnamed file or
+ * a server sending an error page instead of the image.
+ * @param {String} fileName - file name, for the extension and logging
+ * @param {Object} sources - { wordpress, header } MIME types and
+ *   { mimeType, weak } from the contents (any can be null)
+ * @returns {String} - MIME type
+ */
+function resolveMimeType(fileName, sources) {
+  const contents = ['file contents', sources.contents?.mimeType];
+  const wordpress = ['WordPress', sources.wordpress];
+  const candidates = [
+    ...(sources.contents?.weak ? [wordpress, contents] : [contents, wordpress]),
+    ['Content-Type header', sources.header],
+    ['file extension', getMimeTypeFromFileName(fileName)],
+  ].filter(([, mimeType]) => mimeType);
+
+  if (candidates.length === 0) {
+    console.warn(
+      `⚠ Could not tell what type of file ${fileName} is, uploading it as ${FALLBACK_MIME_TYPE}`
+    );
+    return FALLBACK_MIME_TYPE;
+  }
+
+  const [, mimeType] = candidates[0];
+  const disagreements = candidates.filter(([, other]) => other !== mimeType);
+
+  if (disagreements.length > 0) {
+    console.warn(
+      `⚠ ${fileName}: using ${mimeType} (from ${
+        candidates[0][0]
+      }) but ${disagreements
+        .map(([source, other]) => `${source} says ${other}`)
+        .join(', ')}`
+    );
+  }
+
+  return mimeType;
+}
+
+/**
+ * Translation (WPML / Polylang) helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Get the language of a WordPress post, as reported by Polylang (`lang`)
+ * or the WPML REST API (`wpml_current_locale`).
+ * @param {Object} postData - WordPress post
+ * @returns {String|null} - e.g. 'de' or 'de_DE'
+ */
+function getPostLanguage(postData) {
+  return postData.lang || postData.wpml_current_locale || null;
+}
+
+/**
+ * Get the IDs of a post's translations, from Polylang's `translations`
+ * ({ de: 123 }) or WPML's `wpml_translations` ([{ locale: 'de_DE', id: 123 }]).
+ * @param {Object} postData - WordPress post
+ * @returns {Array} - [{ language, id }]
+ */
+function getPostTranslations(postData) {
+  if (postData.translations && typeof postData.translations === 'object') {
+    return Object.entries(postData.translations).map(([language, id]) => ({
+      language: language,
+      id: id,
+    }));
+  }
+
+  if (Array.isArray(postData.wpml_translations)) {
+    return postData.wpml_translations.map((translation) => ({
+      language: translation.locale,
+      id: translation.id,
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Split WordPress posts into the posts we migrate and their translations,
+ * using the `translations` config:
+ *   { defaultLanguage: 'en', locales: { de: 'de-DE' } }
+ * Posts in another configured language are attached to their default
+ * language original instead of being migrated as posts of their own.
+ * @param {Array} wpPosts - WordPress posts
+ * @returns {Array} - [{ postData, translations: { 'de-DE': translatedPost } }]
+ */
+function groupTranslations(wpPosts) {
+  const settings = migrationConfig.translations;
+
+  if (!settings || !settings.locales) {
+    return wpPosts.map((postData) => ({
+      postData: postData,
+      translations: {},
+    }));
+  }
+
+  const postsById = new Map(wpPosts.map((postData) => [postData.id, postData]));
+  const translationIds = new Set();
+  const grouped = [];
+
+  for (const postData of wpPosts) {
+    const language = getPostLanguage(postData);
+    if (language && language !== settings.defaultLanguage) {
+      continue;
+    }
+
+    const translations = {};
+    for (const { language, id } of getPostTranslations(postData)) {
+      const locale = settings.locales[language];
+      const translatedPost = postsById.get(id);
+
+      if (!locale || id === postData.id) {
+        continue;
+      }
+      if (!translatedPost) {
+        console.warn(
+          `⚠ ${postData.slug}: ${language} translation (ID ${id}) was not fetched`
+        );
+        continue;
+      }
+
+      translations[locale] = translatedPost;
+      translationIds.add(id);
+    }
+
+    grouped.push({ postData: postData, translations: translations });
+  }
+
+  // Anything in another language that isn't attached to an original is
+  // reported rather than silently dropped
+  for (const postData of wpPosts) {
+    const language = getPostLanguage(postData);
+    if (
+      language &&
+      language !== settings.defaultLanguage &&
+      !translationIds.has(postData.id)
+    ) {
+      console.warn(
+        `⚠ ${postData.slug} (${language}) has no ${settings.defaultLanguage} original, skipping it`
+      );
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Internal link helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Lookup tables for findLinkedPost(), built from wpData.posts on first use.
+ */
+let internalLinkIndex = null;
+
+/**
+ * Rewrite hyperlinks to other WordPress posts in a Rich Text node.
+ * @param {Object} node - Rich Text document or node, changed in place
+ * @param {Function} rewrite - (post, hyperlink) => node to replace the
+ *   hyperlink with, or null to leave it alone
+ * @returns {Number} - how many links were rewritten
+ */
+function rewriteInternalLinks(node, rewrite) {
+  if (!node || !Array.isArray(node.content)) {
+    return 0;
+  }
+
+  let count = 0;
+  node.content = node.content.map((child) => {
+    if (child.nodeType === 'hyperlink') {
+      const post = findLinkedPost(child.data.uri);
+      const replacement = post ? rewrite(post, child) : null;
+
+      if (replacement) {
+        count++;
+        return replacement;
+      }
+    }
+
+    count += rewriteInternalLinks(child, rewrite);
+    return child;
+  });
+
+  return count;
+}
+
+/**
+ * Find the WordPress post a link points at: by its ?p= or ?page_id= ID,
+ * its permalink, or failing those the slug at the end of a path shaped
+ * like a permalink (e.g. a post whose date or parent has changed).
+ * Links to translations find the original, whose entry holds them.
+ * @param {String} uri - link from post content, absolute or relative
+ * @returns {Object|null} - mapped post from wpData.posts
+ */
+function findLinkedPost(uri) {
+  const index = getInternalLinkIndex();
+
+  let url;
+  try {
+    url = new URL(uri, index.baseUrl);
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    !['http:', 'https:'].includes(url.protocol) ||
+    !index.hosts.has(getSiteHost(url)) ||
+    url.pathname.startsWith('/wp-')
+  ) {
+    return null;
+  }
+
+  const id = Number(
+    url.searchParams.get('p') || url.searchParams.get('page_id')
+  );
+  if (id) {
+    return index.byId.get(id) || null;
+  }
+
+  const post = index.byPermalink.get(getPermalinkKey(url));
+  if (post) {
+    return post;
+  }
+
+  // Only paths shaped like a post's permalink, so a category, tag or
+  // author archive with the same slug isn't mistaken for the post
+  if (!index.permalinkShapes.has(getPermalinkShape(url.pathname))) {
+    return null;
+  }
+
+  const slug = url.pathname.split('/').filter(Boolean).pop();
+  return (slug && index.bySlug.get(decodeURIComponent(slug))) || null;
+}
+
+/**
+ * Build the lookup tables for findLinkedPost(): every mapped post (and its
+ * translations) by ID, permalink and slug, and the hosts and permalink
+ * shapes the site uses.
+ * @returns {Object} - { baseUrl, hosts, byId, byPermalink, bySlug, permalinkShapes }
+ */
+function getInternalLinkIndex() {
+  if (internalLinkIndex) {
+    return internalLinkIndex;
+  }
+
+  const baseUrl = new URL(wpEndpoint).origin;
+  internalLinkIndex = {
+    baseUrl: baseUrl,
+    hosts: new Set([getSiteHost(new URL(baseUrl))]),
+    byId: new Map(),
+    byPermalink: new Map(),
+    bySlug: new Map(),
+    permalinkShapes: new Set(),
+  };
+
+  for (const post of wpData.posts) {
+    for (const wpPost of [post.wp, ...(post.wpTranslations || [])]) {
+      if (!wpPost) {
+        continue;
+      }
+
+      internalLinkIndex.byId.set(wpPost.id, post);
+      if (!internalLinkIndex.bySlug.has(wpPost.slug)) {
+        internalLinkIndex.bySlug.set(wpPost.slug, post);
+      }
+
+      if (wpPost.link) {
+        const link = new URL(wpPost.link);
+        internalLinkIndex.hosts.add(getSiteHost(link));
+        internalLinkIndex.byPermalink.set(getPermalinkKey(link), post);
+
+        const lastSegment = link.pathname.split('/').filter(Boolean).pop();
+        if (lastSegment && decodeURIComponent(lastSegment) === wpPost.slug) {
+          internalLinkIndex.permalinkShapes.add(
+            getPermalinkShape(link.pathname)
+          );
+        }
+      }
+    }
+  }
+
+  return internalLinkIndex;
+}
+
+/**
+ * Host of a URL, without www. so both forms of the site's address match.
+ * @param {URL} url
+ * @returns {String}
+ */
+function getSiteHost(url) {
+  return url.hostname.replace(/^www\./, '');
+}
+
+/**
+ * Compare permalinks on host and path only, ignoring http/https, www.,
+ * trailing slashes, query strings and anchors.
+ * @param {URL} url
+ * @returns {String}
+ */
+function getPermalinkKey(url) {
+  return `${getSiteHost(url)}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * The shape of a permalink's path: its last segment is the slug and
+ * numbers (dates, IDs) can be anything.
+ * @param {String} pathname - e.g. '/2023/02/hello-world/'
+ * @returns {String} - e.g. '{n}/{n}/{slug}'
+ */
+function getPermalinkShape(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  return segments
+    .map((segment, i) => {
+      if (i === segments.length - 1) {
+        return '{slug}';
+      }
+      return /^\d+$/.test(segment) ? '{n}' : segment;
+    })
+    .join('/');
+}
+
+/**
+ * Fill in the internalLinkUrl pattern for a post. Placeholders: {slug},
+ * {id}, {type}, {year}, {month} and {day}.
+ * @param {Object} post - mapped post from wpData.posts
+ * @returns {String} - URL on the new site
+ */
+function formatInternalLinkUrl(post) {
+  const date = post.date ? new Date(post.date) : null;
+  const values = {
+    slug: post.slug,
+    id: post.id,
+    type: post.type,
+    year: date ? String(date.getUTCFullYear()) : '',
+    month: date ? String(date.getUTCMonth() + 1).padStart(2, '0') : '',
+    day: date ? String(date.getUTCDate()).padStart(2, '0') : '',
+  };
+
+  return internalLinkUrl.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? values[name] : placeholder
+  );
+}
+
+/**
+ * Migration report helpers.
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Count the nodes of one type in a Rich Text document, e.g. its embedded
+ * assets or asset hyperlinks.
+ * @param {Object} node - Rich Text document or node (anything else counts 0)
+ * @param {String} nodeType - e.g. 'embedded-asset-block'
+ * @returns {Number}
+ */
+function countRichTextNodes(node, nodeType) {
+  if (!node || !Array.isArray(node.content)) {
+    return 0;
+  }
+
+  return node.content.reduce(
+    (count, child) => count + countRichTextNodes(child, nodeType),
+    node.nodeType === nodeType ? 1 : 0
+  );
+}
+
+/**
+ * Why a post needs a second look: not published, links or images missing,
+ * or warnings while converting its content.
+ * @param {Object} report - post report from createContentfulPosts()
+ * @returns {Array} - reasons, empty if the post is fine
+ */
+function getAttentionReasons(report) {
+  const reasons = [];
+
+  if (!['published', 'skipped'].includes(report.status)) {
+    reasons.push(report.status === 'draft' ? 'left as draft' : report.status);
+  }
+  if (
+    report.images &&
+    report.images.embedded + report.images.linked < report.images.found
+  ) {
+    reasons.push(
+      `${report.images.embedded + report.images.linked} of ${
+        report.images.found
+      } images embedded or linked`
+    );
+  }
+  for (const link of report.missingLinks) {
+    reasons.push(`missing ${link.linkTo} ${link.wpId} for ${link.field}`);
+  }
+  if (report.warnings.length > 0) {
+    reasons.push(`${report.warnings.length} warnings`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Write the migration report as JSON and HTML, and print a summary.
+ * @param {Array} reports - post reports from createContentfulPosts()
+ */
+function writeMigrationReport(reports) {
+  const summary = { total: reports.length, needsAttention: 0 };
+  for (const report of reports) {
+    summary[report.status] = (summary[report.status] || 0) + 1;
+    if (getAttentionReasons(report).length > 0) {
+      summary.needsAttention++;
+    }
+  }
+
+  const migrationReport = {
+    generatedAt: new Date().toISOString(),
+    dryRun: cliOptions.dryRun,
+    locale: ctfLocale,
+    summary: summary,
+    posts: reports,
+    failedRequests: failedRequests,
+  };
+
+  fs.writeFileSync(REPORT_JSON_FILE, JSON.stringify(migrationReport, null, 2));
+  fs.writeFileSync(REPORT_HTML_FILE, renderReportHtml(migrationReport));
+
+  console.log(
+    `Migration report: ${summary.total} posts, ${
+      summary.published || 0
+    } published, ${summary.draft || 0} left as drafts, ${
+      summary.failed || 0
+    } failed, ${summary.skipped || 0} already migrated`
+  );
+  for (const report of reports) {
+    const reasons = getAttentionReasons(report);
+    if (reasons.length > 0) {
+      console.warn(`⚠ ${report.type} ${report.slug}: ${reasons.join(', ')}`);
+    }
+  }
+  console.log(
+    `Written to ${path.basename(REPORT_JSON_FILE)} and ${path.basename(
+      REPORT_HTML_FILE
+    )}`
+  );
+  console.log(logSeparator);
+}
+
+/**
+ * Render the migration report as a standalone HTML page.
+ * @param {Object} migrationReport - report written to migration-report.json
+ * @returns {String} - HTML
+ */
+function renderReportHtml(migrationReport) {
+  const rows = migrationReport.posts.map((report) => {
+    const missing = report.missingLinks.map(
+      (link) => `${link.field}: ${link.linkTo} ${link.wpId}`
+    );
+    const images = report.images
+      ? `${report.images.embedded} / ${report.images.linked} / ${report.images.found}`
+      : '';
+
+    return `<tr class="${
+      getAttentionReasons(report).length > 0 ? 'attention' : ''
+    }">
+  <td>${report.link ? `<a href="${escapeHtml(report.link)}">` : ''}${escapeHtml(
+      report.title || report.slug
+    )}${report.link ? '</a>' : ''}<br><small>${escapeHtml(report.type)} ${
+      report.wpId
+    }</small></td>
+  <td><code>${escapeHtml(report.entryId)}</code></td>
+  <td>${escapeHtml(report.status)}</td>
+  <td>${escapeHtml(report.publishError || '')}</td>
+  <td>${images}</td>
+  <td>${missing.map(escapeHtml).join('<br>')}</td>
+  <td>${report.warnings.map(escapeHtml).join('<br>')}</td>
+</tr>`;
+  });
+
+  const summary = Object.entries(migrationReport.summary)
+    .map(([key, count]) => `${escapeHtml(key)}: ${count}`)
+    .join(', ');
+
+  const failures = migrationReport.failedRequests.map(
+    (failure) =>
+      `<li>${escapeHtml(failure.url)} - ${escapeHtml(failure.error)}</li>`
+  );
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>WordPress to Contentful migration report</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+  tr.attention { background: #fff3cd; }
+</style>
+</head>
+<body>
+<h1>Migration report</h1>
+<p>${escapeHtml(migrationReport.generatedAt)}${
+    migrationReport.dryRun ? ' (dry run)' : ''
+  }, locale ${escapeHtml(migrationReport.locale)}</p>
+<p>${summary}</p>
+<table>
+<tr><th>Post</th><th>Entry ID</th><th>Status</th><th>Publish error</th><th>Images embedded / linked / found</th><th>Missing links</th><th>Warnings</th></tr>
+${rows.join('\n')}
+</table>
+${
+  failures.length > 0
+    ? `<h2>Failed WordPress requests</h2>\n<ul>\n${failures.join('\n')}\n</ul>`
+    : ''
+}
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape text for HTML.
+ * @param {*} value - text (anything else is turned into a string)
+ * @returns {String}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Main Migration Script.
+ * -----------------------------------------------------------------------------
+ */
+
+async function migrateContent() {
+  if (cliOptions.help) {
+    console.log(usage);
+    return;
+  }
+
+  const phases = getPhasesToRun();
+
+  // Only a full migration from the top starts a new ledger
+  loadMigrationState(
+    phases[0] === 'fetch' && phases.length > 1 && !cliOptions.resume
+  );
+
+  if (phases.includes('fetch')) {
+    await fetchWordPressData();
+  } else {
+    loadCachedWordPressData();
+  }
+
+  postsToMigrate = selectPostsToMigrate(wpData.posts);
+
+  if (phases.every((phase) => phase === 'fetch')) {
+    return;
+  }
+
+  const environment = await getContentfulEnvironment();
+
+  if (phases.includes('validate')) {
+    const violations = await validateContentModel(environment);
+
+    if (violations.length > 0 && cliOptions.command === 'validate') {
+      process.exitCode = 1;
+    }
+
+    if (violations.length > 0 && cliOptions.command === 'migrate') {
+      if (!cliOptions.skipValidation) {
+        throw new Error(
+          `${violations.length} problems found with the content model, fix them or re-run with --skip-validation`
+        );
+      }
+      console.warn(`⚠ Carrying on despite validation problems`);
+    }
+  }
+
+  // Before the assets phase, so the 'fail' policy stops before anything
+  // is created
+  await findAllReusableEntries(environment, phases);
+
+  let assets;
+  if (phases.includes('assets')) {
+    assets = await buildContentfulAssets(environment);
+  } else {
+    assets = getRecordedObjects(['asset']).flatMap((record) =>
+      (record.fileNames || [record.fileName]).map((fileName) => ({
+        assetId: record.contentfulId,
+        fileName: fileName,
+        sourceId: record.wpId,
+      }))
+    );
+  }
+
+  if (phases.includes('authors')) {
+    await createContentfulAuthors(environment, assets);
+  } else {
+    contentfulData.authors = getRecordedObjects(['author']).map((record) => ({
+      authorId: record.wpId,
+      authorName: record.name,
+      contentfulId: record.contentfulId,
+    }));
+  }
+
+  if (phases.includes('tags')) {
+    await createContentfulTags(environment);
+  } else {
+    for (const [termType, collection] of Object.entries(TAXONOMIES)) {
+      contentfulData[collection] = getRecordedObjects([termType]).map(
+        (record) => ({
+          termId: record.wpId,
+          termName: record.name,
+          contentfulId: record.contentfulId,
+        })
+      );
+    }
+  }
+
+  if (phases.includes('posts')) {
+    await createContentfulPosts(environment, assets);
+  }
+}
+
+/**
+ * Fetch everything listed in wpData from the WordPress API, then map it.
+ * `posts` covers every post type we migrate, each from its own endpoint.
+ */
+async function fetchWordPressData() {
+  let promises = [];
+  let endpoints = [];
+
+  console.log(logSeparator);
+  console.log(`Getting WordPress API data`);
+  console.log(logSeparator);
+
+  // Add _embed parameter for post types to get media data, and when we can
+  // log in, context=edit for their block markup
+  for (const postTypeUrl of await getPostTypeUrls()) {
+    promises.push(
+      `${postTypeUrl}?per_page=100&_embed${wpAuth ? '&context=edit' : ''}`
+    );
+    endpoints.push('posts');
+  }
+
+  // Loop over our content types and create API endpoint URLs
+  for (const key of Object.keys(wpData)) {
+    if (key !== 'posts') {
+      promises.push(`${wpEndpoint}${key}?per_page=100`);
+      endpoints.push(key);
+    }
+  }
+
+  // console.log('API URLs to fetch:', promises);
+  apiData = await getAllData(promises);
+
+  // Loop over our conjoined data structure and append data types to each child.
+  for (const [index, endpoint] of endpoints.entries()) {
+    apiData[index].endpoint = endpoint;
+  }
+
+  mapData();
+
+  // Keep the raw lookups as well, so later phases can run from the cache
+  for (const key of ['tags', 'categories', 'media', 'users']) {
+    wpData[key] = getApiDataType(key)[0]?.data || [];
+  }
+
+  writeDataToFile(wpData, 'wpPosts');
+}
+
+/**
+ * Look up the REST endpoint of each post type we migrate in /wp/v2/types.
+ * Custom post types only appear there if they're registered with
+ * show_in_rest, and may live under a namespace other than wp/v2.
+ * @returns {Promise<Array>} - collection URLs, e.g. .../wp/v2/pages
+ */
+async function getPostTypeUrls() {
+  let types;
+  try {
+    const typesUrl = `${wpEndpoint}types`;
+    types = (
+      await wordpressRequest(typesUrl, () =>
+        axios.get(typesUrl, { timeout: wpTimeout, auth: wpAuth || undefined })
+      )
+    ).data;
+  } catch (error) {
+    throw new Error(`Could not fetch WordPress post types: ${error.message}`);
+  }
+
+  return postTypes.map((postType) => {
+    const type = types[postType];
+
+    if (!type || !type.rest_base) {
+      throw new Error(
+        `WordPress has no post type ${postType} in its REST API (available: ${Object.keys(
+          types
+        ).join(', ')})`
+      );
+    }
+
+    const namespace = type.rest_namespace || 'wp/v2';
+    const baseUrl = wpEndpoint.replace(/wp\/v2\/?$/, `${namespace}/`);
+    console.log(`Post type ${postType}: ${baseUrl}${type.rest_base}`);
+    return `${baseUrl}${type.rest_base}`;
+  });
+}
+
+/**
+ * Load WordPress data from the wpPosts.json written by a previous fetch,
+ * so later phases can be re-run without downloading everything again.
+ */
+function loadCachedWordPressData() {
+  const cacheFile = path.join(process.cwd(), 'wpPosts.json');
+
+  if (!fs.existsSync(cacheFile)) {
+    throw new Error(
+      `No cached WordPress data found at ${cacheFile}, run the fetch command first`
+    );
+  }
+
+  console.log(`Loading cached WordPress data from wpPosts.json`);
+  wpData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+
+  // Rebuild the API response shape so getApiDataType() lookups still work.
+  // Posts go back to their raw WordPress form, so that they're mapped again
+  // below with the current field mapping.
+  apiData = Object.entries(wpData).map(([key, value]) => ({
+    success: true,
+    endpoint: key,
+    data:
+      key === 'posts'
+        ? value.flatMap((post) => [post.wp, ...(post.wpTranslations || [])])
+        : value,
+  }));
+
+  console.log(`...Done! ${wpData.posts.length} posts and pages in cache`);
+  console.log(logSeparator);
+
+  wpData.posts = [];
+  mapData();
+}
+
+/**
+ * Apply the --limit, --only-slugs and --since options to the mapped posts.
+ * @param {Array} posts - mapped posts from mapData()
+ * @returns {Array} - the posts to migrate
+ */
+function selectPostsToMigrate(posts) {
+  let selectedPosts = posts;
+
+  if (cliOptions.onlySlugs) {
+    selectedPosts = selectedPosts.filter((post) =>
+      cliOptions.onlySlugs.includes(post.slug)
+    );
+
+    for (const slug of cliOptions.onlySlugs) {
+      if (!selectedPosts.some((post) => post.slug === slug)) {
+        console.warn(`⚠ No WordPress post found with slug: ${slug}`);
+      }
+    }
+  }
+
+  if (cliOptions.since) {
+    selectedPosts = selectedPosts.filter(
+      (post) => new Date(post.date) >= cliOptions.since
+    );
+  }
+
+  if (cliOptions.limit) {
+    selectedPosts = selectedPosts.slice(0, cliOptions.limit);
+  }
+
+  if (selectedPosts.length !== posts.length) {
+    console.log(
+      `Migrating ${selectedPosts.length} of ${posts.length} posts (filtered by command line options)`
+    );
+  }
+
+  return selectedPosts;
+}
+
+function getAllData(URLs) {
+  return Promise.all(URLs.map(fetchData));
+}
+
+/**
+ * Fetch every page of a WordPress collection endpoint.
+ * WordPress caps per_page at 100, so we keep requesting pages until
+ * X-WP-TotalPages is reached (or, if a proxy strips those headers, until
+ * there is no Link rel="next" left to follow).
+ * @param {String} URL - URL of the first page (e.g. /wp-json/wp/v2/posts?per_page=100)
+ * @returns {Promise<Object>} - { success, endpoint, data } with every page concatenated
+ */
+async function fetchData(URL) {
+  const resourceName = getResourceName(URL);
+  let items = [];
+  let pageUrl = URL;
+  let page = 1;
+  let totalPages = null;
+  let totalItems = null;
+
+  try {
+    while (pageUrl) {
+      const response = await wordpressRequest(pageUrl, () =>
+        axios.get(pageUrl, { timeout: wpTimeout, auth: wpAuth || undefined })
+      );
+
+      if (!Array.isArray(response.data)) {
+        throw new Error(`Expected an array from ${pageUrl}`);
+      }
+
+      // WordPress reports the totals on every page, the first one is enough
+      if (page === 1) {
+        totalPages = parseHeaderNumber(response.headers['x-wp-totalpages']);
+        totalItems = parseHeaderNumber(response.headers['x-wp-total']);
+      }
+
+      items = items.concat(response.data);
+      console.log(
+        `  ${resourceName}: page ${page}/${totalPages || '?'} (${items.length}${
+          totalItems !== null ? `/${totalItems}` : ''
+        } items)`
+      );
+
+      // An empty page means we've run off the end, whatever the headers say
+      pageUrl =
+        response.data.length > 0
+          ? getNextPageUrl(URL, response, page, totalPages)
+          : null;
+      page++;
+    }
+  } catch (error) {
+    console.error(`Error fetching ${pageUrl}:`, error.message);
+    if (error.response) {
+      console.error(`Status: ${error.response.status}`);
+      console.error(`Response:`, error.response.data);
+    }
+    return { success: false, endpoint: '', error: error.message };
+  }
+
+  // Sanity check: posts published mid-fetch can shift pages around
+  if (totalItems !== null && items.length !== totalItems) {
+    console.warn(
+      `⚠ ${resourceName}: fetched ${items.length} items but WordPress reported ${totalItems}`
+    );
+  } else {
+    console.log(`✓ ${resourceName}: fetched all ${items.length} items`);
+  }
+
+  return {
+    success: true,
+    endpoint: '',
+    data: items,
+  };
+}
+
+/**
+ * Work out the URL of the page after the current one.
+ * Prefers the Link header WordPress sends, falling back to counting pages.
+ * @param {String} firstPageUrl - URL of the first page
+ * @param {Object} response - Axios response for the current page
+ * @param {Number} page - current page number
+ * @param {Number|null} totalPages - value of X-WP-TotalPages, if sent
+ * @returns {String|null} - next page URL, or null when we're done
+ */
+function getNextPageUrl(firstPageUrl, response, page, totalPages) {
+  const linkHeader = response.headers.link || '';
+  const nextLink = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
+
+  if (nextLink) {
+    return nextLink[1];
+  }
+
+  if (totalPages !== null && page < totalPages) {
+    const nextUrl = new URL(firstPageUrl);
+    nextUrl.searchParams.set('page', page + 1);
+    return nextUrl.toString();
+  }
+
+  return null;
+}
+
+/**
+ * Parse a numeric response header, e.g. X-WP-Total.
+ * @param {String} value - raw header value
+ * @returns {Number|null}
+ */
+function parseHeaderNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Get the resource name (e.g. posts, media) from a WordPress API URL.
+ * @param {String} URL - WordPress API URL
+ * @returns {String}
+ */
+function getResourceName(URL) {
+  return URL.split('?')[0].replace(/\/$/, '').split('/').pop();
+}
+
+/**
+ * Get our entire API response and filter it down to only show content that we want to include
+ */
+function mapData() {
+  // Get WP posts from API object
+  console.log(`Reducing API data to only include fields we want`);
+  let apiPosts = getApiDataType('posts');
+
+  // Debug: Check if we got the posts data
+  if (apiPosts.length === 0 || apiPosts.some((response) => !response.data)) {
+    console.error('ERROR: Failed to get posts data from WordPress API');
+    console.log('apiPosts:', apiPosts);
+    console.log('Full apiData structure:', JSON.stringify(apiData, null, 2));
+    throw new Error('No posts data available from WordPress API');
+  }
+
+  // Loop over posts - note: we probably /should/ be using .map() here.
+  const wpPosts = apiPosts.flatMap((response) => response.data);
+  for (const { postData, translations } of groupTranslations(wpPosts)) {
+    const postType = postData.type || 'post';
+
+    // Cached data can hold post types the config no longer migrates
+    if (!mapping[postType]) {
+      continue;
+    }
+
+    console.log(`Parsing ${postType} ${postData.slug}`);
+
+    /**
+     * Create base object with what this script needs to know about the
+     * post, plus `fields`: the value of every Contentful field in the
+     * mapping, keyed by Contentful field ID, and the same for each of its
+     * `translations`, keyed by Contentful locale. The original WordPress
+     * posts are kept in `wp` and `wpTranslations` so the cache can be
+     * re-mapped after changing the config.
+     */
+    let fieldData = {
+      id: postData.id,
+      type: postType,
+      parentId: postData.parent || 0, // Parent page, for hierarchical types
+      slug: postData.slug,
+      date: formatContentfulDate(postData.date_gmt),
+      authorId: postData.author, // Store author ID
+      authorName: getAuthorName(postData.author), // Get author name from ID
+      tags: postData.tags || [], // Tag IDs, for createContentfulTags()
+      categories: postData.categories || [], // Category IDs, likewise
+      contentImages: getPostBodyImages(postData),
+      fields: mapFields(postData, mapping[postType].fields),
+      translations: {},
+      wp: postData,
+      wpTranslations: Object.values(translations),
+    };
+
+    for (const [locale, translatedPost] of Object.entries(translations)) {
+      console.log(`  + ${locale} translation: ${translatedPost.slug}`);
+      fieldData.translations[locale] = mapFields(
+        translatedPost,
+        mapping[postType].fields
+      );
+      // Translations can have images of their own
+      fieldData.contentImages.push(...getPostBodyImages(translatedPost));
+    }
+
+    wpData.posts.push(fieldData);
+  }
+
+  console.log(`...Done!`);
+  console.log(logSeparator);
 }
 
+/**
+ * Find every file a post uses that needs to become a Contentful asset: the
+ * featured image, inline images, and uploaded files it links to or plays.
+ * @param {Object} postData - WordPress post
+ * @returns {Array} - { link, title, description, mimeType, mediaId, postId, featured }
+ */
 function getPostBodyImages(postData) {
   // console.log(`- Getting content images`)
   let imageRegex = /<img\s[^>]*?src\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g;
+  let foundImage;
   let bodyImages = [];
-  let featuredImageUrl = null;
 
   // First, get the featured image if it exists
   // Try featured_image_url first (custom field provided by this WordPress site)
   if (postData.featured_image_url) {
-    featuredImageUrl = postData.featured_image_url;
+    const media = findWordPressMedia(postData.featured_media);
     bodyImages.push({
-      link: featuredImageUrl,
+      link: media ? getOriginalUploadUrl(media) : postData.featured_image_url,
+      src: postData.featured_image_url,
       description:
         postData.yoast_head_json?.og_image?.[0]?.alt || 'Featured image',
       title: postData.title?.rendered || 'Featured image',
       mediaId: postData.featured_media,
+      mimeType: media?.mime_type || null,
       postId: postData.id,
       featured: true,
     });
@@ -376,23 +5162,17 @@ function getPostBodyImages(postData) {
       console.log(`  ✓ Found featured media in _embedded data`);
     } else {
       // Fallback to searching global media array
-      let mediaData = getApiDataType(`media`)[0];
-      if (mediaData && mediaData.data) {
-        mediaObj = mediaData.data.filter((obj) => {
-          if (obj.id === postData.featured_media) {
-            return obj;
-          }
-        })[0];
-      }
+      mediaObj = findWordPressMedia(postData.featured_media);
     }
 
     if (mediaObj) {
-      featuredImageUrl = mediaObj.source_url;
       bodyImages.push({
-        link: mediaObj.source_url,
+        link: getOriginalUploadUrl(mediaObj),
+        src: mediaObj.source_url,
         description: mediaObj.alt_text || 'Featured image',
         title: mediaObj.alt_text || 'Featured image',
         mediaId: mediaObj.id,
+        mimeType: mediaObj.mime_type || null,
         postId: mediaObj.post || postData.id,
         featured: true,
       });
@@ -403,40 +5183,181 @@ function getPostBodyImages(postData) {
     }
   }
 
-  // Then extract body images, but skip the featured image if we find it
+  // Then extract body images. One that's also the featured image (often a
+  // resized copy of it) ends up sharing its asset, see getAssetId()
   while ((foundImage = imageRegex.exec(postData.content.rendered))) {
     let imageUrl = foundImage[1];
 
-    // Skip this image if it's the featured image (check the base filename)
-    if (featuredImageUrl) {
-      let featuredFileName = featuredImageUrl.split('/').pop().split('?')[0];
-      let currentFileName = imageUrl.split('/').pop().split('?')[0];
-
-      // WordPress often has different sizes of the same image, so check if the base name matches
-      if (
-        currentFileName.includes(featuredFileName.replace(/\-\d+x\d+/, '')) ||
-        featuredFileName.includes(currentFileName.replace(/\-\d+x\d+/, ''))
-      ) {
-        continue; // Skip this image, it's the featured image
-      }
-    }
-
     let alt = postData.id;
     if (foundImage[0].includes('alt="')) {
       alt = foundImage[0].split('alt="')[1].split('"')[0] || '';
     }
 
+    // Body HTML usually shows a resized copy: upload the original instead,
+    // and let the Contentful Images API do the resizing
+    const mediaId = getImageMediaId(foundImage[0]);
+    const media = findMediaForImage(mediaId, imageUrl);
+
     bodyImages.push({
-      link: imageUrl,
+      link: media
+        ? getOriginalUploadUrl(media)
+        : getLargestSrcsetUrl(foundImage[0]) || imageUrl,
+      src: imageUrl,
       description: alt,
       title: alt,
+      mediaId: media?.id || mediaId,
+      mimeType: media?.mime_type || null,
+      postId: postData.id,
+      featured: false,
+    });
+  }
+
+  // Then every other uploaded file the post links to or plays: PDFs and
+  // other downloads (including file blocks), video and audio
+  let fileRegex =
+    /<(?:a|video|audio|source)\s[^>]*?(?:href|src)\s*=\s*['\"]([^'\"]*?)['\"][^>]*?>/g;
+  let foundFile;
+
+  while ((foundFile = fileRegex.exec(postData.content.rendered))) {
+    let fileUrl = foundFile[1];
+
+    if (
+      !isUploadsUrl(fileUrl) ||
+      bodyImages.some(
+        (image) => image.link === fileUrl || image.src === fileUrl
+      )
+    ) {
+      continue;
+    }
+
+    const fileName = decodeURIComponent(getUrlFileName(fileUrl));
+    const media = findWordPressMedia((item) => item.source_url === fileUrl);
+
+    bodyImages.push({
+      link: fileUrl,
+      description:
+        media?.caption?.rendered.replace(/<[^>]+>/g, '').trim() || '',
+      title: media?.title?.rendered || fileName,
+      mediaId: media?.id,
+      mimeType: media?.mime_type || null,
       postId: postData.id,
       featured: false,
     });
   }
+
   return bodyImages;
 }
 
+/**
+ * Check whether a URL points into the WordPress uploads directory, i.e. at
+ * a file that will disappear along with the WordPress site.
+ * @param {String} url - URL from post content
+ * @returns {Boolean}
+ */
+function isUploadsUrl(url) {
+  return /\/wp-content\/uploads\/[^?#]+\.\w+([?#]|$)/.test(url || '');
+}
+
+/**
+ * Get the file name at the end of a URL, without its query string or hash
+ * (WordPress adds ?ver=... to some files).
+ * @param {String} url - e.g. 'https://example.com/wp-content/uploads/a.pdf?ver=2'
+ * @returns {String} - e.g. 'a.pdf'
+ */
+function getUrlFileName(url) {
+  return url.split(/[?#]/)[0].split('/').pop();
+}
+
+/**
+ * Get the media ID WordPress puts in an image's class (wp-image-123).
+ * @param {String} imgTag - HTML of the <img> tag
+ * @returns {Number|null}
+ */
+function getImageMediaId(imgTag) {
+  const match = imgTag.match(/class\s*=\s*['"][^'"]*\bwp-image-(\d+)\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Find the media library item an inline image is a copy of, by its media
+ * ID if it has one, otherwise by looking for its URL among every size
+ * WordPress generated for each item (media_details.sizes).
+ * @param {Number|null} mediaId - from getImageMediaId()
+ * @param {String} imageUrl - src of the image
+ * @returns {Object|null} - WordPress media object
+ */
+function findMediaForImage(mediaId, imageUrl) {
+  const media = mediaId ? findWordPressMedia(mediaId) : null;
+  if (media) {
+    return media;
+  }
+
+  const comparableUrl = (url) => url.split(/[?#]/)[0].replace(/^https?:/i, '');
+  const imagePath = comparableUrl(imageUrl);
+
+  return findWordPressMedia((item) =>
+    [
+      item.source_url,
+      ...Object.values(item.media_details?.sizes || {}).map(
+        (size) => size.source_url
+      ),
+    ].some((url) => url && comparableUrl(url) === imagePath)
+  );
+}
+
+/**
+ * Get the URL of the file originally uploaded for a media item.
+ * Since WordPress 5.3, large images are replaced by a "-scaled" copy and
+ * the upload is only named in media_details.original_image.
+ * @param {Object} media - WordPress media object
+ * @returns {String} - URL
+ */
+function getOriginalUploadUrl(media) {
+  const originalImage = media.media_details?.original_image;
+
+  if (originalImage && media.source_url) {
+    return media.source_url.replace(/[^/]+$/, originalImage);
+  }
+
+  return media.source_url;
+}
+
+/**
+ * Get the widest candidate from an image's srcset, for images we couldn't
+ * match to the media library.
+ * @param {String} imgTag - HTML of the <img> tag
+ * @returns {String|null} - URL, or null if there's no usable srcset
+ */
+function getLargestSrcsetUrl(imgTag) {
+  const srcset = imgTag.match(/srcset\s*=\s*['"]([^'"]+)['"]/);
+  if (!srcset) {
+    return null;
+  }
+
+  const candidates = srcset[1]
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/))
+    .filter(([url, width]) => url && /^\d+w$/.test(width || ''))
+    .sort((a, b) => parseInt(b[1], 10) - parseInt(a[1], 10));
+
+  return candidates.length > 0 ? candidates[0][0] : null;
+}
+
+/**
+ * Find an item in the WordPress media library.
+ * @param {Number|Function} mediaIdOrTest - media ID, or a function to match items with
+ * @returns {Object|null} - WordPress media object
+ */
+function findWordPressMedia(mediaIdOrTest) {
+  const mediaData = getApiDataType('media')[0];
+  const test =
+    typeof mediaIdOrTest === 'function'
+      ? mediaIdOrTest
+      : (media) => media.id === mediaIdOrTest;
+
+  return mediaData?.data?.find(test) || null;
+}
+
 function getPostLabels(postItems, labelType) {
   let labels = [];
   let apiTag = getApiDataType(labelType)[0];
@@ -475,42 +5396,107 @@ function getApiDataType(resourceName) {
 function writeDataToFile(dataTree, dataType) {
   console.log(`Writing data to a file`);
 
-  fs.writeFile(
-    `./${dataType}.json`,
-    JSON.stringify(dataTree, null, 2),
-    (err) => {
-      if (err) {
-        console.error(err);
-        return;
-      }
-      console.log(`...Done!`);
-      console.log(logSeparator);
-    }
+  fs.writeFileSync(
+    path.join(process.cwd(), `${dataType}.json`),
+    JSON.stringify(dataTree, null, 2)
   );
+
+  console.log(`...Done!`);
+  console.log(logSeparator);
 }
 
 /**
- * Create Contentful Client.
+ * Get the Contentful environment we're migrating into.
+ * @returns {Promise<Object>} - Contentful Environment
  */
-function createForContentful() {
-  ctfClient
+function getContentfulEnvironment() {
+  if (!ctfClient) {
+    // Retries are left to contentfulRequest(), so they share the queue
+    ctfClient = contentful.createClient({
+      accessToken: ctfData.accessToken,
+      retryOnError: false,
+      responseLogger: trackContentfulRateLimit,
+    });
+  }
+
+  return ctfClient
     .getSpace(ctfData.spaceId)
     .then((space) => space.getEnvironment(ctfData.environment))
-    .then((environment) => {
-      buildContentfulAssets(environment);
-    })
-    .catch((error) => {
-      console.log(error);
-      return error;
+    .then(async (environment) => {
+      ctfLocale = await resolveLocale(environment);
+      return environment;
     });
 }
 
+/**
+ * Work out which locale to write to, checking it exists in the space.
+ * @param {Object} environment - Contentful Environment
+ * @returns {Promise<String>} - locale code, e.g. 'en-US'
+ */
+async function resolveLocale(environment) {
+  const locales = (await contentfulRequest(() => environment.getLocales()))
+    .items;
+  const defaultLocale = locales.find((locale) => locale.default);
+  const localeCodes = locales.map((locale) => locale.code);
+  const translationLocales = Object.values(
+    migrationConfig.translations?.locales || {}
+  );
+
+  for (const code of [ctfLocale, ...translationLocales]) {
+    if (code && !localeCodes.includes(code)) {
+      throw new Error(
+        `Locale ${code} does not exist in this environment (available: ${localeCodes.join(
+          ', '
+        )})`
+      );
+    }
+  }
+
+  const locale = ctfLocale || defaultLocale.code;
+  console.log(`Writing to Contentful locale ${locale}`);
+  return locale;
+}
+
+/**
+ * Get the IDs of the localized fields of a content type, which are the
+ * only ones translations can be written to. Cached per content type.
+ * @param {Object} environment - Contentful Environment
+ * @param {String} contentTypeId - Contentful content type ID
+ * @returns {Promise<Array>} - field IDs
+ */
+async function getLocalizedFieldIds(environment, contentTypeId) {
+  if (!contentfulData.localizedFields) {
+    contentfulData.localizedFields = {};
+  }
+
+  if (!contentfulData.localizedFields[contentTypeId]) {
+    const contentType = await contentfulRequest(() =>
+      environment.getContentType(contentTypeId)
+    );
+    contentfulData.localizedFields[contentTypeId] = contentType.fields
+      .filter((field) => field.localized)
+      .map((field) => field.id);
+  }
+
+  return contentfulData.localizedFields[contentTypeId];
+}
+
 /**
  * Get author name from author ID
  * @param {Number} authorId - WordPress author ID
  * @returns {String} - Author name
  */
 function getAuthorName(authorId) {
+  const user = getWordPressUser(authorId);
+  return user ? user.name : null;
+}
+
+/**
+ * Get a WordPress user from the users endpoint data
+ * @param {Number} authorId - WordPress author ID
+ * @returns {Object|null} - WordPress user
+ */
+function getWordPressUser(authorId) {
   let usersData = getApiDataType('users')[0];
 
   if (!usersData || !usersData.data) {
@@ -521,7 +5507,7 @@ function getAuthorName(authorId) {
   let user = usersData.data.find((user) => user.id === authorId);
 
   if (user) {
-    return user.name;
+    return user;
   }
 
   console.warn(`⚠ Could not find user with ID: ${authorId}`);
@@ -529,50 +5515,187 @@ function getAuthorName(authorId) {
 }
 
 /**
- * Build data trees for Contentful assets.
+ * Get the URL of a user's largest avatar. WordPress lists a few sizes in
+ * avatar_urls, keyed by width.
+ * @param {Object} user - WordPress user
+ * @returns {String|null}
+ */
+function getLargestAvatarUrl(user) {
+  const sizes = Object.keys(user.avatar_urls || {}).sort(
+    (a, b) => Number(b) - Number(a)
+  );
+  return sizes.length > 0 ? user.avatar_urls[sizes[0]] : null;
+}
+
+/**
+ * Get a user's social profile URLs from the sameAs of the Person in their
+ * Yoast schema graph.
+ * @param {Object} user - WordPress user
+ * @returns {Array|null} - URLs, or null if Yoast doesn't list any
+ */
+function getSocialProfileUrls(user) {
+  const graph = user.yoast_head_json?.schema?.['@graph'] || [];
+  const person = graph.find((node) =>
+    [].concat(node['@type']).includes('Person')
+  );
+  const urls = person?.sameAs || [];
+  return urls.length > 0 ? urls : null;
+}
+
+/**
+ * Find the images authors link to by URL, such as their avatars, so the
+ * assets phase can upload them alongside the posts' images.
+ * @returns {Array} - { link, src, fileName, title, description } for
+ *   buildContentfulAssets()
+ */
+function getAuthorImages() {
+  const authorIds = [...new Set(postsToMigrate.map((post) => post.authorId))];
+  const assetFields = Object.entries(mapping.author.fields).filter(
+    ([fieldId, spec]) => spec.linkType === 'Asset'
+  );
+  const images = [];
+
+  if (assetFields.length === 0) {
+    return images;
+  }
+
+  for (const authorId of authorIds) {
+    const user = getWordPressUser(authorId);
+    if (!user) {
+      continue;
+    }
+
+    const values = mapFields(user, Object.fromEntries(assetFields));
+    for (const [fieldId, url] of Object.entries(values)) {
+      if (!isFileUrl(url)) {
+        continue;
+      }
+
+      images.push({
+        link: url,
+        src: url,
+        fileName: `${user.slug || `author-${user.id}`}-${fieldId}`,
+        title: user.name,
+        description: '',
+        mediaId: null,
+        mimeType: null,
+        postId: null,
+        featured: false,
+      });
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Whether a mapped asset link value is a URL to upload, rather than a
+ * WordPress media ID.
+ * @param {*} value - mapped value
+ * @returns {Boolean}
+ */
+function isFileUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+/**
+ * Build data trees for Contentful assets, then create them.
  * @param {String} environment - name of Contentful environment.
+ * @returns {Promise<Array>} - created assets ({ assetId, fileName })
  */
-function buildContentfulAssets(environment) {
+async function buildContentfulAssets(environment) {
   let assetPromises = [];
+  let filesByAssetId = new Map();
 
   console.log('Building Contentful Asset Objects');
 
-  // For every image in every post, create a new asset.
-  for (let [index, wpPost] of wpData.posts.entries()) {
-    for (const [imgIndex, contentImage] of wpPost.contentImages.entries()) {
-      let assetObj = {
-        title: {
-          'en-GB': contentImage.title,
-        },
-        description: {
-          'en-GB': contentImage.description,
-        },
-        file: {
-          'en-GB': {
-            contentType: 'image/jpeg',
-            fileName: contentImage.link.split('/').pop(),
-            upload: encodeURI(contentImage.link),
-          },
-        },
-      };
+  // For every image in every post, create (or update) an asset. The same
+  // file can be used in several posts, in several sizes, or as one post's
+  // featured image and inline in another: it's only uploaded once, and
+  // every file name it was used under is kept so posts can find it.
+  // Authors' avatars come along too.
+  const contentImages = [
+    ...postsToMigrate.flatMap((wpPost) => wpPost.contentImages),
+    ...getAuthorImages(),
+  ];
+
+  for (const contentImage of contentImages) {
+    const assetId = getAssetId(contentImage);
+    // Posts refer to the file as it appears in their HTML
+    const fileName = getUrlFileName(contentImage.src || contentImage.link);
+    const queued = filesByAssetId.get(assetId);
+
+    if (!queued) {
+      filesByAssetId.set(assetId, {
+        contentImage: contentImage,
+        fileNames: new Set([fileName, getUrlFileName(contentImage.link)]),
+      });
+      continue;
+    }
 
-      assetPromises.push(assetObj);
+    queued.fileNames.add(fileName);
+
+    // Upload the original rather than a resized copy, when we've seen it
+    if (
+      isResizedUpload(queued.contentImage.link) &&
+      !isResizedUpload(contentImage.link)
+    ) {
+      queued.contentImage = {
+        ...queued.contentImage,
+        link: contentImage.link,
+        mimeType: contentImage.mimeType || queued.contentImage.mimeType,
+      };
     }
   }
 
+  for (const [assetId, { contentImage, fileNames }] of filesByAssetId) {
+    const fileName = contentImage.fileName || getUrlFileName(contentImage.link);
+
+    // Best guess until the file is downloaded and checked
+    let assetObj = {
+      title: {
+        [ctfLocale]: contentImage.title,
+      },
+      description: {
+        [ctfLocale]: contentImage.description,
+      },
+      file: {
+        [ctfLocale]: {
+          contentType:
+            contentImage.mimeType ||
+            getMimeTypeFromFileName(fileName) ||
+            FALLBACK_MIME_TYPE,
+          fileName: fileName,
+          // Links to uploaded files are often already encoded
+          upload: /%[0-9a-f]{2}/i.test(contentImage.link)
+            ? contentImage.link
+            : encodeURI(contentImage.link),
+        },
+      },
+    };
+
+    assetPromises.push({
+      assetId: assetId,
+      fileNames: fileNames,
+      wpMimeType: contentImage.mimeType,
+      fields: assetObj,
+    });
+  }
+
   let assets = [];
 
   console.log(`Creating Contentful Assets...`);
   console.log(logSeparator);
 
-  // getAndStoreAssets()
+  await createContentfulAssets(environment, assetPromises, assets);
+  console.log(`...Done!`);
+  console.log(logSeparator);
 
-  createContentfulAssets(environment, assetPromises, assets).then((result) => {
-    console.log(`...Done!`);
-    console.log(logSeparator);
+  if (!cliOptions.dryRun) {
+    await getAndStoreAssets(environment, assets);
+  }
 
-    getAndStoreAssets(environment, assets);
-  });
+  return assets;
 }
 
 /**
@@ -583,7 +5706,7 @@ function buildContentfulAssets(environment) {
 function getAndStoreAssets(environment, assets) {
   console.log(`Storing asset URLs in a global array to use later`);
   // Not supported with JS? Easier to get all assets and support
-  axios
+  return axios
     .get(
       `https://api.contentful.com/spaces/${ctfData.spaceId}/environments/${ctfData.environment}/public/assets`,
       {
@@ -596,24 +5719,21 @@ function getAndStoreAssets(environment, assets) {
       // console.log(result)
       contentfulData.assets = [];
       for (const item of result.data.items) {
-        contentfulData.assets.push(item.fields.file['en-GB'].url);
+        contentfulData.assets.push(item.fields.file[ctfLocale].url);
       }
 
-      // Create authors first, then posts
-      createContentfulAuthors(environment, assets);
+      console.log(`...Done!`);
+      console.log(logSeparator);
     })
     .catch((err) => {
       console.log(err);
-      return error;
     });
-  console.log(`...Done!`);
-  console.log(logSeparator);
 }
 
 /**
  * Create Contentful author entries from WordPress users
  * @param {String} environment - Contentful Environment
- * @param {Array} assets - Array of assets (to pass to post creation)
+ * @param {Array} assets - created assets ({ assetId, fileName }), for avatars
  */
 async function createContentfulAuthors(environment, assets) {
   console.log(logSeparator);
@@ -621,177 +5741,325 @@ async function createContentfulAuthors(environment, assets) {
   console.log(logSeparator);
 
   // Get unique authors from posts
-  const authorIds = [...new Set(wpData.posts.map((post) => post.authorId))];
+  const authorIds = [...new Set(postsToMigrate.map((post) => post.authorId))];
   const authors = [];
 
   console.log(`Found ${authorIds.length} unique authors to create`);
 
-  for (const authorId of authorIds) {
+  const reusableAuthors = reusableEntries.author || new Map();
+
+  await runConcurrently(authorIds, async (authorId) => {
     const authorName = getAuthorName(authorId);
 
     if (!authorName) {
       console.warn(`⚠ Skipping author with ID ${authorId} - no name found`);
-      continue;
+      return;
+    }
+
+    const completedAuthor = getCompletedRecord('author', authorId);
+    if (completedAuthor) {
+      console.log(`Already migrated author: ${authorName}`);
+      authors.push({
+        authorId: authorId,
+        authorName: authorName,
+        contentfulId: completedAuthor.contentfulId,
+      });
+      return;
+    }
+
+    const reusedId = reusableAuthors.get(authorId);
+    if (reusedId) {
+      console.log(`Reusing existing author: ${authorName} (${reusedId})`);
+      recordState('author', authorId, {
+        contentfulId: reusedId,
+        name: authorName,
+        phase: 'published',
+        reused: true,
+      });
+      authors.push({
+        authorId: authorId,
+        authorName: authorName,
+        contentfulId: reusedId,
+      });
+      return;
     }
 
     try {
       console.log(`Creating author: ${authorName}`);
 
-      const authorEntry = await environment.createEntry('author', {
-        fields: {
-          name: {
-            'en-GB': authorName,
-          },
-        },
-      });
+      const authorFields = await buildEntryFields(
+        mapping.author.fields,
+        mapFields(getWordPressUser(authorId), mapping.author.fields),
+        { label: `author ${authorName}`, assets: assets }
+      );
 
-      console.log(`  Created draft author: ${authorName}`);
+      const authorEntry = await upsertEntry(
+        environment,
+        mapping.author.contentType,
+        getContentfulId('author', authorId),
+        authorFields
+      );
+      recordState('author', authorId, {
+        contentfulId: authorEntry.sys.id,
+        name: authorName,
+        phase: 'created',
+      });
 
       // Publish the author
-      const publishedAuthor = await authorEntry.publish();
+      const publishedAuthor = await contentfulRequest(() =>
+        authorEntry.publish()
+      );
       console.log(`  ✓ Published author: ${authorName}`);
+      recordState('author', authorId, { phase: 'published' });
 
       authors.push({
         authorId: authorId,
         authorName: authorName,
         contentfulId: publishedAuthor.sys.id,
       });
-
-      // Small delay to avoid rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 500));
     } catch (error) {
       console.error(`❌ Error creating author ${authorName}: ${error.message}`);
     }
-  }
+  });
 
   console.log(`Successfully created ${authors.length} authors`);
   console.log(logSeparator);
 
   // Store authors globally for use in posts
   contentfulData.authors = authors;
+  recordPhaseComplete('authors');
+}
+
+/**
+ * Create Contentful tag and category entries from the WordPress tags and
+ * categories our posts use, each with its own content type.
+ * @param {String} environment - Contentful Environment
+ */
+async function createContentfulTags(environment) {
+  for (const termType of Object.keys(TAXONOMIES)) {
+    await createContentfulTerms(environment, termType);
+  }
 
-  // Now create tags, then posts
-  createContentfulTags(environment, assets);
+  recordPhaseComplete('tags');
 }
 
 /**
- * Create Contentful tag entries from WordPress tags
+ * Create Contentful entries for the WordPress terms of one taxonomy.
+ * Categories are created a level of the hierarchy at a time, parents
+ * first, so each one can link to its parent.
  * @param {String} environment - Contentful Environment
- * @param {Array} assets - Array of assets (to pass to post creation)
+ * @param {String} termType - 'tag' or 'category'
  */
-async function createContentfulTags(environment, assets) {
+async function createContentfulTerms(environment, termType) {
+  const collection = TAXONOMIES[termType];
+
   console.log(logSeparator);
-  console.log(
-    `Creating Contentful Tags (from WordPress tags and categories)...`
-  );
+  console.log(`Creating Contentful ${collection}...`);
   console.log(logSeparator);
 
-  // Get all unique tag IDs from posts (now includes both tags and categories)
-  const allTagIds = wpData.posts.flatMap((post) => post.tags);
-  const uniqueTagIds = [...new Set(allTagIds)];
-  const tags = [];
-
-  console.log(`Found ${uniqueTagIds.length} unique tags/categories to create`);
+  // Filled in as we go, so children can link to their parents
+  const terms = [];
+  contentfulData[collection] = terms;
 
-  // Get WordPress tag and category data from API
-  const wpTags = getApiDataType('tags')[0];
-  const wpCategories = getApiDataType('categories')[0];
-
-  if ((!wpTags || !wpTags.data) && (!wpCategories || !wpCategories.data)) {
+  if (!getApiDataType(collection)[0]?.data) {
     console.warn(
-      '⚠ No WordPress tag or category data available, skipping tag creation'
+      `⚠ No WordPress ${collection} data available, skipping ${termType} creation`
     );
-    contentfulData.tags = [];
-    createContentfulPosts(environment, assets);
     return;
   }
 
-  for (const tagId of uniqueTagIds) {
-    // Find the tag name from WordPress data (check both tags and categories)
-    let wpItem = null;
-    let itemType = '';
+  const wpTerms = getTermsToMigrate(termType);
+  console.log(`Found ${wpTerms.length} unique ${collection} to create`);
 
-    if (wpTags && wpTags.data) {
-      wpItem = wpTags.data.find((tag) => tag.id === tagId);
-      if (wpItem) itemType = 'tag';
-    }
+  const reusableTerms = reusableEntries[termType] || new Map();
 
-    if (!wpItem && wpCategories && wpCategories.data) {
-      wpItem = wpCategories.data.find((cat) => cat.id === tagId);
-      if (wpItem) itemType = 'category';
-    }
+  const depths = getHierarchyDepths(wpTerms);
+  const levels = [...new Set(depths.values())].sort((a, b) => a - b);
 
-    if (!wpItem || !wpItem.name) {
-      console.warn(`⚠ Skipping item with ID ${tagId} - no name found`);
-      continue;
-    }
+  for (const level of levels) {
+    const levelTerms = wpTerms.filter((term) => depths.get(term) === level);
 
-    const tagName = wpItem.name;
+    await runConcurrently(levelTerms, async (term) => {
+      const termName = term.item.name;
 
-    try {
-      console.log(`Creating tag from WordPress ${itemType}: ${tagName}`);
+      if (!termName) {
+        console.warn(
+          `⚠ Skipping ${termType} with ID ${term.id} - no name found`
+        );
+        return;
+      }
 
-      const tagEntry = await environment.createEntry('tag', {
-        fields: {
-          name: {
-            'en-GB': tagName,
-          },
-        },
-      });
+      const completedTerm = getCompletedRecord(termType, term.id);
+      if (completedTerm) {
+        console.log(`Already migrated ${termType}: ${termName}`);
+        terms.push({
+          termId: term.id,
+          termName: termName,
+          contentfulId: completedTerm.contentfulId,
+        });
+        return;
+      }
 
-      console.log(`  Created draft tag: ${tagName}`);
+      const reusedId = reusableTerms.get(term.id);
+      if (reusedId) {
+        console.log(`Reusing existing ${termType}: ${termName} (${reusedId})`);
+        recordState(termType, term.id, {
+          contentfulId: reusedId,
+          name: termName,
+          phase: 'published',
+          reused: true,
+        });
+        terms.push({
+          termId: term.id,
+          termName: termName,
+          contentfulId: reusedId,
+        });
+        return;
+      }
 
-      // Publish the tag
-      const publishedTag = await tagEntry.publish();
-      console.log(`  ✓ Published tag: ${tagName} (from ${itemType})`);
+      try {
+        console.log(`Creating ${termType}: ${termName}`);
 
-      tags.push({
-        tagId: tagId,
-        tagName: tagName,
-        contentfulId: publishedTag.sys.id,
-      });
+        const termFields = await buildEntryFields(
+          mapping[termType].fields,
+          mapFields(term.item, mapping[termType].fields),
+          { label: `${termType} ${termName}` }
+        );
 
-      // Small delay to avoid rate limiting
-      await new Promise((resolve) => setTimeout(resolve, 500));
-    } catch (error) {
-      console.error(`❌ Error creating tag ${tagName}: ${error.message}`);
-    }
+        const termEntry = await upsertEntry(
+          environment,
+          mapping[termType].contentType,
+          getContentfulId(termType, term.id),
+          termFields
+        );
+        recordState(termType, term.id, {
+          contentfulId: termEntry.sys.id,
+          name: termName,
+          phase: 'created',
+        });
+
+        const publishedTerm = await contentfulRequest(() =>
+          termEntry.publish()
+        );
+        console.log(`  ✓ Published ${termType}: ${termName}`);
+        recordState(termType, term.id, { phase: 'published' });
+
+        terms.push({
+          termId: term.id,
+          termName: termName,
+          contentfulId: publishedTerm.sys.id,
+        });
+      } catch (error) {
+        console.error(
+          `❌ Error creating ${termType} ${termName}: ${error.message}`
+        );
+      }
+    });
   }
 
-  console.log(
-    `Successfully created ${tags.length} tags (combined from WordPress tags and categories)`
-  );
+  console.log(`Successfully created ${terms.length} ${collection}`);
   console.log(logSeparator);
+}
+
+/**
+ * Get the WordPress terms of one taxonomy that the posts being migrated
+ * use, along with every ancestor of those terms, so category hierarchies
+ * are migrated whole.
+ * @param {String} termType - 'tag' or 'category'
+ * @returns {Array} - { type, id, parentId, item } with the WordPress term
+ *   as `item`, in the shape getHierarchyDepths() expects
+ */
+function getTermsToMigrate(termType) {
+  const terms = new Map();
+
+  const addTerm = (termId) => {
+    if (terms.has(termId)) {
+      return;
+    }
 
-  // Store tags globally for use in posts
-  contentfulData.tags = tags;
+    const item = findWordPressTerm(termType, termId);
+    if (!item) {
+      console.warn(`⚠ Could not find WordPress ${termType} with ID ${termId}`);
+      return;
+    }
+
+    terms.set(termId, {
+      type: termType,
+      id: termId,
+      parentId: item.parent || 0,
+      item: item,
+    });
+
+    if (item.parent) {
+      addTerm(item.parent);
+    }
+  };
+
+  for (const post of postsToMigrate) {
+    for (const termId of post[TAXONOMIES[termType]] || []) {
+      addTerm(termId);
+    }
+  }
 
-  // Now create posts
-  createContentfulPosts(environment, assets);
+  return [...terms.values()];
 }
 
 /**
- * Download an image from a URL to a local file
+ * Find a WordPress tag or category by ID.
+ * @param {String} termType - 'tag' or 'category'
+ * @param {Number} termId - WordPress term ID
+ * @returns {Object|null} - WordPress term
+ */
+function findWordPressTerm(termType, termId) {
+  const wpTerms = getApiDataType(TAXONOMIES[termType])[0];
+  return wpTerms?.data?.find((term) => term.id === termId) || null;
+}
+
+/**
+ * Download an image from a URL to a local file, retrying if the request
+ * fails or the download stalls for longer than the timeout.
  * @param {String} url - Image URL
  * @param {String} filename - Local filename to save to
- * @returns {Promise<String>} - Path to downloaded file
+ * @returns {Promise<Object>} - { filepath, contentType } with the path to the
+ *   downloaded file and the Content-Type the server sent
  */
 async function downloadImage(url, filename) {
   const filepath = path.join(TEMP_IMAGE_DIR, filename);
 
   try {
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      responseType: 'stream',
-    });
+    return await wordpressRequest(url, async () => {
+      const response = await axios({
+        method: 'GET',
+        url: url,
+        responseType: 'stream',
+        timeout: wpTimeout,
+      });
+
+      // The request timeout only covers the headers, so also give up on a
+      // body that stops arriving part way through
+      let stallTimer;
+      const resetStallTimer = () => {
+        clearTimeout(stallTimer);
+        stallTimer = setTimeout(() => {
+          const error = new Error(`No data received for ${wpTimeout}ms`);
+          error.code = 'ETIMEDOUT';
+          response.data.destroy(error);
+        }, wpTimeout);
+      };
 
-    const writer = fs.createWriteStream(filepath);
-    response.data.pipe(writer);
+      response.data.on('data', resetStallTimer);
+      resetStallTimer();
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => resolve(filepath));
-      writer.on('error', reject);
+      try {
+        await pipeline(response.data, fs.createWriteStream(filepath));
+      } finally {
+        clearTimeout(stallTimer);
+      }
+
+      return {
+        filepath: filepath,
+        contentType: response.headers['content-type'] || null,
+      };
     });
   } catch (error) {
     console.error(`Failed to download ${filename}: ${error.message}`);
@@ -801,8 +6069,8 @@ async function downloadImage(url, filename) {
 
 /**
  * Create a Promise to publish all assets.
- * Note that, Timeout might not be needed here, but Contentful
- * rate limits were being hit.
+ * Assets are downloaded, created and published `concurrency` at a time,
+ * with every Contentful request going through the rate-limited queue.
  * @param {String} environment - Contentful Environment
  * @param {Array} promises - Contentful Asset data trees
  * @param {Array} assets - array to store Assets in
@@ -810,36 +6078,205 @@ async function downloadImage(url, filename) {
 async function createContentfulAssets(environment, promises, assets) {
   console.log(`Downloading and creating ${promises.length} assets...`);
 
+  // Assets from earlier runs are looked up first, so that copies of their
+  // files can link to them
+  const existingAssets = new Map();
+  await runConcurrently(promises, async (promise) => {
+    if (getCompletedRecord('asset', promise.assetId)) {
+      return;
+    }
+    try {
+      existingAssets.set(
+        promise.assetId,
+        await findExisting((id) => environment.getAsset(id), promise.assetId)
+      );
+    } catch (error) {
+      // Looked up again, and reported, when the asset's turn comes
+    }
+  });
+
+  // Content hashes of the files in Contentful, to spot copies of a file
+  // under another name or URL
+  const uploadedHashes = new Map(
+    getRecordedObjects(['asset'])
+      .filter((record) => record.contentHash && record.phase === 'published')
+      .map((record) => [record.contentHash, record.contentfulId])
+  );
+  if ([...existingAssets.values()].includes(null) && !cliOptions.dryRun) {
+    await addExistingAssetHashes(existingAssets, uploadedHashes);
+  }
+
+  // A file that's a copy of one still being uploaded waits for that upload
+  // to be published, and is uploaded itself in the next round if it fails
+  let pending = promises;
+  while (pending.length > 0) {
+    pending = await createAssetsRound(
+      environment,
+      pending,
+      assets,
+      existingAssets,
+      uploadedHashes
+    );
+  }
+
+  console.log(`Successfully processed/stored ${assets.length} assets`);
+  addAssetReferences(promises, assets);
+  recordPhaseComplete('assets');
+  return Promise.resolve();
+}
+
+/**
+ * One round of downloading, creating and publishing assets. Copies of a
+ * file uploaded in the same round are put aside until it's published.
+ * @param {Object} environment - Contentful Environment
+ * @param {Array} promises - Contentful Asset data trees
+ * @param {Array} assets - array to store Assets in
+ * @param {Map} existingAssets - asset ID => asset already in Contentful, or
+ *   null if there is none
+ * @param {Map} uploadedHashes - content hash => ID of the asset in
+ *   Contentful with that file, added to as assets are published
+ * @returns {Promise<Array>} - the copies put aside, for the next round
+ */
+async function createAssetsRound(
+  environment,
+  promises,
+  assets,
+  existingAssets,
+  uploadedHashes
+) {
   // Create all assets and trigger processing
   const createdAssets = [];
-  for (let i = 0; i < promises.length; i++) {
+  const createdHashes = new Map();
+  const uploadingHashes = new Map();
+  const waiting = [];
+
+  // Copies of a file can only link to it once it's published
+  const registerHash = (assetId) => {
+    const contentHash = createdHashes.get(assetId);
+    if (contentHash && !uploadedHashes.has(contentHash)) {
+      uploadedHashes.set(contentHash, assetId);
+    }
+  };
+
+  await runConcurrently(promises, async (promise, i) => {
     try {
-      const fileName = promises[i].file['en-GB'].fileName;
-      const imageUrl = promises[i].file['en-GB'].upload;
+      const assetId = promise.assetId;
+      const fileName = promise.fields.file[ctfLocale].fileName;
+      const imageUrl = promise.fields.file[ctfLocale].upload;
+
+      const completedRecord = getCompletedRecord('asset', assetId);
+      if (completedRecord) {
+        console.log(
+          `[${i + 1}/${promises.length}] Already migrated: ${fileName}`
+        );
+        if (completedRecord.contentfulId !== assetId) {
+          promise.duplicateOf = completedRecord.contentfulId;
+        }
+        assets.push({
+          assetId: completedRecord.contentfulId,
+          fileName: fileName,
+        });
+        return;
+      }
+
+      // Asset already exists from a previous run: refresh its metadata
+      // but keep the file, rather than downloading and uploading it again
+      const existingAsset = existingAssets.has(assetId)
+        ? existingAssets.get(assetId)
+        : await findExisting((id) => environment.getAsset(id), assetId);
+
+      // Dry run: record the asset as it would be created from its source
+      // URL, without downloading or uploading anything
+      if (cliOptions.dryRun) {
+        console.log(`[${i + 1}/${promises.length}] ${fileName}`);
+        writeDryRunPayload(
+          'assets',
+          { id: assetId, type: 'Asset' },
+          existingAsset ? 'update' : 'create',
+          promise.fields
+        );
+        assets.push({ assetId: assetId, fileName: fileName });
+        return;
+      }
+
+      if (existingAsset) {
+        console.log(
+          `[${i + 1}/${promises.length}] Updating existing asset: ${fileName}`
+        );
+        // Only replace our locale's values, other locales may hold
+        // translations
+        for (const fieldId of ['title', 'description']) {
+          existingAsset.fields[fieldId] = {
+            ...existingAsset.fields[fieldId],
+            [ctfLocale]: promise.fields[fieldId][ctfLocale],
+          };
+        }
+        createdAssets.push(
+          await contentfulRequest(() => existingAsset.update())
+        );
+        return;
+      }
+
+      // Download the image locally first, unless an earlier round did
+      let { download, imageBuffer } = promise.waitingFile || {};
+      promise.waitingFile = null;
+      if (download) {
+        console.log(
+          `[${i + 1}/${promises.length}] Downloaded earlier: ${fileName}`
+        );
+      } else {
+        console.log(`[${i + 1}/${promises.length}] Downloading: ${fileName}`);
+        download = await downloadImage(imageUrl, fileName);
+        console.log(`  Downloaded to: ${download.filepath}`);
 
-      console.log(`[${i + 1}/${promises.length}] Downloading: ${fileName}`);
+        // Read the file as a buffer, and clean up the local file
+        imageBuffer = fs.readFileSync(download.filepath);
+        fs.unlinkSync(download.filepath);
+      }
 
-      // Download the image locally first
-      const localPath = await downloadImage(imageUrl, fileName);
-      console.log(`  Downloaded to: ${localPath}`);
+      // A copy of a file we've already uploaded: link to that asset instead
+      const contentHash = getContentHash(imageBuffer);
+      if (uploadedHashes.has(contentHash)) {
+        promise.duplicateOf = uploadedHashes.get(contentHash);
+        console.log(
+          `  Same file as ${promise.duplicateOf}, not uploading it again`
+        );
+        return;
+      }
+      if (uploadingHashes.has(contentHash)) {
+        console.log(
+          `  Same file as ${uploadingHashes.get(
+            contentHash
+          )}, waiting for that to be published`
+        );
+        promise.waitingFile = { download, imageBuffer };
+        waiting.push(promise);
+        return;
+      }
+      uploadingHashes.set(contentHash, assetId);
 
-      // Read the file as a buffer
-      const imageBuffer = fs.readFileSync(localPath);
+      const contentType = resolveMimeType(fileName, {
+        contents: getMimeTypeFromContents(imageBuffer),
+        wordpress: promise.wpMimeType,
+        header: parseContentTypeHeader(download.contentType),
+      });
 
       console.log(`  Uploading to Contentful...`);
 
       // Upload the file directly to Contentful
-      const upload = await environment.createUpload({
-        file: imageBuffer,
-      });
+      const upload = await contentfulRequest(() =>
+        environment.createUpload({
+          file: imageBuffer,
+        })
+      );
 
       // Create asset with the uploaded file
       const assetData = {
-        ...promises[i],
+        ...promise.fields,
         file: {
-          'en-GB': {
-            contentType: promises[i].file['en-GB'].contentType,
-            fileName: fileName,
+          [ctfLocale]: {
+            contentType: contentType,
+            fileName: addFileExtension(fileName, contentType),
             uploadFrom: {
               sys: {
                 type: 'Link',
@@ -851,78 +6288,186 @@ async function createContentfulAssets(environment, promises, assets) {
         },
       };
 
-      const asset = await environment.createAsset({
-        fields: assetData,
+      const asset = await contentfulRequest(() =>
+        environment.createAssetWithId(assetId, {
+          fields: assetData,
+        })
+      );
+      recordState('asset', assetId, {
+        contentfulId: assetId,
+        fileName: fileName,
+        contentHash: contentHash,
+        phase: 'created',
       });
 
       console.log(`  Processing asset...`);
-      await asset.processForAllLocales();
+      const processedAsset = await contentfulRequest(() =>
+        asset.processForAllLocales()
+      );
       console.log(`✓ Processed: ${fileName}`);
-      createdAssets.push(asset);
-
-      // Clean up local file
-      fs.unlinkSync(localPath);
-
-      // Small delay to avoid rate limiting
-      if (i < promises.length - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
+      createdAssets.push(processedAsset);
+      createdHashes.set(assetId, contentHash);
     } catch (error) {
       console.error(
-        `❌ Error creating asset ${promises[i]?.file?.['en-GB']?.fileName}: ${error.message}`
+        `❌ Error creating asset ${promise?.fields?.file?.[ctfLocale]?.fileName}: ${error.message}`
       );
       // Continue with next asset even if this one fails
     }
-  }
+  });
 
   console.log(`Publishing ${createdAssets.length} assets...`);
 
   // Publish each asset
-  for (let i = 0; i < createdAssets.length; i++) {
+  await runConcurrently(createdAssets, async (createdAsset) => {
     try {
       // Fetch the latest version to avoid version conflicts
-      const latestAsset = await environment.getAsset(createdAssets[i].sys.id);
+      const latestAsset = await contentfulRequest(() =>
+        environment.getAsset(createdAsset.sys.id)
+      );
 
-      // Check if already published
-      if (latestAsset.sys.publishedVersion) {
+      // Check if already published (and not changed since)
+      if (isPublishedAndCurrent(latestAsset)) {
         console.log(
-          `⚠ Asset already published: ${latestAsset.fields.file['en-GB'].fileName}`
+          `⚠ Asset already published: ${latestAsset.fields.file[ctfLocale].fileName}`
         );
+        recordState('asset', latestAsset.sys.id, {
+          contentfulId: latestAsset.sys.id,
+          fileName: latestAsset.fields.file[ctfLocale].fileName,
+          phase: 'published',
+        });
+        registerHash(latestAsset.sys.id);
         assets.push({
           assetId: latestAsset.sys.id,
-          fileName: latestAsset.fields.file['en-GB'].fileName,
+          fileName: latestAsset.fields.file[ctfLocale].fileName,
         });
       } else {
         // Publish the latest version
-        const publishedAsset = await latestAsset.publish();
+        const publishedAsset = await contentfulRequest(() =>
+          latestAsset.publish()
+        );
         console.log(
-          `✓ Published: ${publishedAsset.fields.file['en-GB'].fileName}`
+          `✓ Published: ${publishedAsset.fields.file[ctfLocale].fileName}`
         );
+        recordState('asset', publishedAsset.sys.id, {
+          contentfulId: publishedAsset.sys.id,
+          fileName: publishedAsset.fields.file[ctfLocale].fileName,
+          phase: 'published',
+        });
+        registerHash(publishedAsset.sys.id);
 
         assets.push({
           assetId: publishedAsset.sys.id,
-          fileName: publishedAsset.fields.file['en-GB'].fileName,
+          fileName: publishedAsset.fields.file[ctfLocale].fileName,
         });
       }
-
-      // Small delay between publishes
-      if (i < createdAssets.length - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      }
     } catch (error) {
       console.error(
         `❌ Error publishing asset: ${error.message || JSON.stringify(error)}`
       );
       // Still try to add it in case we can use it
       assets.push({
-        assetId: createdAssets[i].sys.id,
-        fileName: createdAssets[i].fields.file['en-GB'].fileName,
+        assetId: createdAsset.sys.id,
+        fileName: createdAsset.fields.file[ctfLocale].fileName,
       });
     }
-  }
+  });
 
-  console.log(`Successfully processed/stored ${assets.length} assets`);
-  return Promise.resolve();
+  return waiting;
+}
+
+/**
+ * Add the content hashes of the files of assets already in Contentful to
+ * uploadedHashes, so that copies of them aren't uploaded again. Hashes the
+ * ledger doesn't have yet (after a fresh run) are worked out by downloading
+ * the file from Contentful, and recorded.
+ * @param {Map} existingAssets - asset ID => asset already in Contentful, or
+ *   null if there is none
+ * @param {Map} uploadedHashes - content hash => asset ID, added to
+ */
+async function addExistingAssetHashes(existingAssets, uploadedHashes) {
+  const existing = [...existingAssets.values()].filter(Boolean);
+
+  await runConcurrently(existing, async (asset) => {
+    const recorded = migrationState.objects[`asset:${asset.sys.id}`];
+    let contentHash = recorded?.contentHash;
+
+    if (!contentHash) {
+      const fileUrl = asset.fields.file?.[ctfLocale]?.url;
+      if (!fileUrl) {
+        return;
+      }
+
+      try {
+        const response = await axios.get(
+          fileUrl.startsWith('//') ? `https:${fileUrl}` : fileUrl,
+          { responseType: 'arraybuffer', timeout: wpTimeout }
+        );
+        contentHash = getContentHash(Buffer.from(response.data));
+      } catch (error) {
+        console.warn(
+          `⚠ Could not download ${asset.sys.id} to compare it with new files: ${error.message}`
+        );
+        return;
+      }
+
+      recordState('asset', asset.sys.id, {
+        contentfulId: asset.sys.id,
+        contentHash: contentHash,
+      });
+    }
+
+    if (!uploadedHashes.has(contentHash)) {
+      uploadedHashes.set(contentHash, asset.sys.id);
+    }
+  });
+}
+
+/**
+ * Hash a file's contents, to tell whether two files are the same.
+ * @param {Buffer} buffer - file contents
+ * @returns {String} - SHA-1 hex digest
+ */
+function getContentHash(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+/**
+ * Add every file name each asset was used under to `assets`, so posts find
+ * it whichever copy or size of the file they reference. Files found to be
+ * copies of another asset point at that asset instead.
+ * @param {Array} promises - Contentful Asset data trees
+ * @param {Array} assets - array to store Assets in
+ */
+function addAssetReferences(promises, assets) {
+  for (const promise of promises) {
+    const assetId = promise.duplicateOf || promise.assetId;
+
+    // Creating or publishing it failed, there's nothing to link to
+    if (!assets.some((a) => a.assetId === assetId)) {
+      continue;
+    }
+
+    const fileNames = [...promise.fileNames];
+    for (const fileName of fileNames) {
+      assets.push({
+        assetId: assetId,
+        fileName: fileName,
+        sourceId: promise.assetId,
+      });
+    }
+
+    recordState('asset', promise.assetId, {
+      contentfulId: assetId,
+      fileNames: fileNames,
+      // A copy is done as soon as the asset it points at is
+      ...(promise.duplicateOf
+        ? {
+            phase:
+              migrationState.objects[`asset:${assetId}`]?.phase || 'created',
+          }
+        : {}),
+    });
+  }
 }
 
 /**
@@ -934,284 +6479,340 @@ async function createContentfulPosts(environment, assets) {
   console.log(`Creating Contentful Posts...`);
   console.log(logSeparator);
 
-  // let postFields = {}
   /**
-   * Dynamically build our Contentful data object
-   * using the keys we built whilst reducing the WP Post data.alias
+   * Build our Contentful data object from the field mapping, converting
+   * each mapped WordPress value to the type of its Contentful field.
    *
    * Results:
-   *  postTitle: {
-   *    'en-GB': wpPost.postTitle
-   *   },
-   *  slug: {
-   *    'en-GB': wpPost.slug
+   *  title: {
+   *    'en-US': 'Hello World',
+   *    'de-DE': 'Hallo Welt'
+   *  },
+   *  author: {
+   *    'en-US': { sys: { type: 'Link', linkType: 'Entry', id: 'wp-author-1' } }
    *  },
    */
   let promises = [];
+  const reports = [];
+
+  const depths = getHierarchyDepths(postsToMigrate);
+
+  for (const post of postsToMigrate) {
+    const postMapping = mapping[post.type];
+    const report = {
+      wpId: post.id,
+      type: post.type,
+      slug: post.slug,
+      title: post.wp?.title?.rendered || null,
+      link: post.wp?.link || null,
+      entryId: getContentfulId(post.type, post.id),
+      status: 'pending',
+      publishError: null,
+      images: {
+        found: post.contentImages.filter(
+          (image) => !image.featured && image.postId === post.id
+        ).length,
+        embedded: 0,
+        linked: 0,
+      },
+      missingLinks: [],
+      warnings: [],
+    };
+    reports.push(report);
+
+    const completedPost = getCompletedRecord(post.type, post.id);
+    if (completedPost) {
+      console.log(`Already migrated ${post.type}: ${post.slug}`);
+      report.entryId = completedPost.contentfulId;
+      report.status = 'skipped';
+      report.images = null;
+      continue;
+    }
+
+    const translations = {};
+    for (const [locale, values] of Object.entries(post.translations || {})) {
+      translations[locale] = {
+        values: values,
+        fieldIds: await getLocalizedFieldIds(
+          environment,
+          postMapping.contentType
+        ),
+      };
+    }
 
-  for (const [index, post] of wpData.posts.entries()) {
-    let postFields = {};
+    const embeddedEntries = [];
+    const postFields = await buildEntryFields(
+      postMapping.fields,
+      post.fields,
+      {
+        label: `${post.type} ${post.slug}`,
+        assets: assets,
+        report: report,
+        embeddedEntries: embeddedEntries,
+      },
+      translations
+    );
 
-    for (let [postKey, postValue] of Object.entries(post)) {
-      // console.log(`postKey: ${postValue}`)
+    // Images in figures are embedded through their entry. Files, and
+    // images where Rich Text only allows text, are linked instead
+    const countInFields = (nodeType) =>
+      Object.values(postFields).reduce(
+        (count, field) =>
+          count + countRichTextNodes(field[ctfLocale], nodeType),
+        0
+      );
+    report.images.embedded =
+      countInFields('embedded-asset-block') +
+      embeddedEntries.reduce((count, entry) => count + entry.imageCount, 0);
+    report.images.linked = countInFields('asset-hyperlink');
+
+    promises.push({
+      wpId: post.id,
+      wpType: post.type,
+      slug: post.slug,
+      contentType: postMapping.contentType,
+      depth: depths.get(post),
+      entryId: getContentfulId(post.type, post.id),
+      fields: postFields,
+      report: report,
+      embeddedEntries: embeddedEntries,
+    });
+  }
 
-      // Convert content to Rich Text format for Contentful
-      if (postKey === 'content') {
-        try {
-          // Convert HTML to markdown first
-          const markdown = turndownService.turndown(postValue);
+  await createEmbeddedEntries(environment, promises);
 
-          // Convert markdown to proper Contentful Rich Text format
-          let richText = await richTextFromMarkdown(markdown);
+  console.log(`Post objects created, attempting to create entries...`);
+  await createContentfulEntries(environment, promises);
+  if (!internalLinkUrl) {
+    await linkInternalPosts(environment, promises);
+  }
+  recordPhaseComplete('posts');
+  console.log(logSeparator);
+  console.log(`Done!`);
+  console.log(logSeparator);
+  writeMigrationReport(reports);
+  if (cliOptions.dryRun) {
+    console.log(
+      `Dry run complete, nothing was written to Contentful. Payloads are in ${cliOptions.dryRunDir}`
+    );
+  } else {
+    console.log(`The migration has completed.`);
+  }
+  console.log(logSeparator);
+}
 
-          // Process the rich text to embed inline images as asset blocks
-          postValue = embedAssetsInRichText(richText, assets);
-        } catch (error) {
-          console.error(
-            `❌ Error converting content for post ${post.slug}:`,
-            error.message
-          );
-          // Fall back to a simple paragraph with error message
-          postValue = {
-            nodeType: 'document',
-            data: {},
-            content: [
-              {
-                nodeType: 'paragraph',
-                data: {},
-                content: [
-                  {
-                    nodeType: 'text',
-                    value: 'Content conversion error. Please check source.',
-                    marks: [],
-                    data: {},
-                  },
-                ],
-              },
-            ],
-          };
-        }
-      }
+/**
+ * Create and publish the entries posts embed in their Rich Text (such as
+ * figures), before the posts themselves, so they can be published.
+ * An entry embedded by several posts is only created once.
+ * @param {Object} environment - Contentful Environment
+ * @param {Array} promises - posts about to be sent to createContentfulEntries()
+ */
+async function createEmbeddedEntries(environment, promises) {
+  const entries = new Map();
+  for (const post of promises) {
+    for (const entry of post.embeddedEntries) {
+      const queued = entries.get(entry.entryId) || { ...entry, posts: [] };
+      queued.posts.push(post);
+      entries.set(entry.entryId, queued);
+    }
+  }
 
-      // Convert categories array to a single comma-separated string
-      if (postKey === 'categories' && Array.isArray(postValue)) {
-        postValue = postValue.join(', ');
-      }
+  if (entries.size === 0) {
+    return;
+  }
 
-      /**
-       * Remove values/flags/checks used for this script that
-       * Contentful doesn't need.
-       */
-      let keysToSkip = [
-        'id',
-        'type',
-        'contentImages',
-        'authorId',
-        'authorName',
-        'tags', // We handle tags separately with custom linking logic
-        'categories', // Categories are now combined with tags
-      ];
+  console.log(`Creating ${entries.size} embedded entries...`);
 
-      if (!keysToSkip.includes(postKey)) {
-        postFields[postKey] = {
-          'en-GB': postValue,
-        };
+  await runConcurrently([...entries.values()], async (entry) => {
+    try {
+      const createdEntry = await upsertEntry(
+        environment,
+        entry.contentType,
+        entry.entryId,
+        entry.fields
+      );
+      await contentfulRequest(() => createdEntry.publish());
+    } catch (error) {
+      const warning = `Could not create ${entry.label} (${entry.entryId}): ${error.message}`;
+      console.error(`❌ ${warning}`);
+      for (const post of entry.posts) {
+        post.report.warnings.push(warning);
       }
+    }
+  });
+}
+
+/**
+ * Work out how deep each post is in its page hierarchy (0 for posts
+ * without a parent among the posts being migrated, 1 for their children...),
+ * so that parents can be created before their children.
+ * Works for categories too, see getTermsToMigrate().
+ * @param {Array} posts - mapped posts from mapData()
+ * @returns {Map} - post => depth
+ */
+function getHierarchyDepths(posts) {
+  const postsById = new Map(
+    posts.map((post) => [`${post.type}:${post.id}`, post])
+  );
+
+  const getDepth = (post, seen = new Set()) => {
+    const parent = postsById.get(`${post.type}:${post.parentId}`);
+    // Guard against loops in broken hierarchies
+    if (!parent || seen.has(parent)) {
+      return 0;
+    }
+    seen.add(post);
+    return getDepth(parent, seen) + 1;
+  };
+
+  return new Map(posts.map((post) => [post, getDepth(post)]));
+}
+
+/**
+ * For each post data tree, create or update and publish a Contentful entry.
+ * Posts are sent `concurrency` at a time, one level of the page hierarchy
+ * after another, so parent pages exist before their children link to them.
+ * @param {String} environment - Name of Contentful Environment.
+ * @param {Array} promises - entry IDs, content types, hierarchy depths and data trees for Contentful posts.
+ *   Each post's `report` is updated with how it went.
+ */
+async function createContentfulEntries(environment, promises) {
+  const depths = [...new Set(promises.map((post) => post.depth))].sort(
+    (a, b) => a - b
+  );
+
+  for (const depth of depths) {
+    const level = promises.filter((post) => post.depth === depth);
 
-      // Link author as a reference to the author entry
-      if (postKey === 'authorId' && postValue && contentfulData.authors) {
-        const authorData = contentfulData.authors.find(
-          (a) => a.authorId === postValue
+    await runConcurrently(level, async (post) => {
+      const slug = post.slug;
+      console.log(`Attempting: ${slug}`);
+
+      let entry;
+      try {
+        entry = await upsertEntry(
+          environment,
+          post.contentType,
+          post.entryId,
+          post.fields
         );
+      } catch (error) {
+        console.error(`❌ Error creating ${slug}: ${error.message}`);
+        post.report.status = 'failed';
+        post.report.publishError = error.message;
+        return;
+      }
 
-        if (authorData) {
-          postFields.author = {
-            'en-GB': {
-              sys: {
-                type: 'Link',
-                linkType: 'Entry',
-                id: authorData.contentfulId,
-              },
-            },
-          };
-          console.log(`✓ Linked author: ${authorData.authorName}`);
-        } else {
-          console.warn(
-            `⚠ Could not find Contentful author for ID: ${postValue}`
-          );
-        }
+      recordState(post.wpType, post.wpId, {
+        contentfulId: entry.sys.id,
+        slug: slug,
+        phase: 'created',
+      });
+
+      // Try to publish, but if it fails due to missing required fields, leave as draft
+      try {
+        await contentfulRequest(() => entry.publish());
+        console.log(`Published: ${slug}`);
+        recordState(post.wpType, post.wpId, {
+          phase: 'published',
+        });
+        post.report.status = 'published';
+      } catch (publishError) {
+        console.log(
+          `Could not publish ${slug} - left as draft. Error: ${publishError.message}`
+        );
+        post.report.status = 'draft';
+        post.report.publishError = publishError.message;
+        recordState(post.wpType, post.wpId, {
+          publishError: publishError.message,
+        });
       }
+    });
+  }
+}
 
-      // Link tags as references to tag entries
-      if (
-        postKey === 'tags' &&
-        Array.isArray(postValue) &&
-        postValue.length > 0 &&
-        contentfulData.tags
-      ) {
-        const linkedTags = [];
+/**
+ * Once every post's entry exists, turn links in their Rich Text to other
+ * migrated posts into entry hyperlinks, and update (and re-publish) the
+ * entries that had any.
+ * Links to posts that weren't migrated keep pointing at WordPress.
+ * @param {Object} environment - Contentful Environment
+ * @param {Array} promises - posts sent to createContentfulEntries()
+ */
+async function linkInternalPosts(environment, promises) {
+  const created = promises.filter((post) =>
+    ['published', 'draft'].includes(post.report.status)
+  );
+  const existingEntryIds = new Set([
+    ...created.map((post) => post.entryId),
+    ...getRecordedObjects(postTypes).map((record) => record.contentfulId),
+  ]);
+
+  await runConcurrently(created, async (post) => {
+    const fields = JSON.parse(JSON.stringify(post.fields));
+    let linkCount = 0;
+
+    for (const [fieldId, spec] of Object.entries(mapping[post.wpType].fields)) {
+      if (spec.type !== 'RichText' || !fields[fieldId]) {
+        continue;
+      }
 
-        for (const tagId of postValue) {
-          const tagData = contentfulData.tags.find((t) => t.tagId === tagId);
+      for (const richText of Object.values(fields[fieldId])) {
+        linkCount += rewriteInternalLinks(richText, (linkedPost, link) => {
+          const entryId = getContentfulId(linkedPost.type, linkedPost.id);
 
-          if (tagData) {
-            linkedTags.push({
-              sys: {
-                type: 'Link',
-                linkType: 'Entry',
-                id: tagData.contentfulId,
-              },
-            });
+          if (!existingEntryIds.has(entryId)) {
+            const warning = `Link to ${linkedPost.type} ${linkedPost.slug} still points at WordPress, it wasn't migrated`;
+            console.warn(`⚠ ${warning} (in ${post.slug})`);
+            post.report.warnings.push(warning);
+            return null;
           }
-        }
 
-        if (linkedTags.length > 0) {
-          postFields.tags = {
-            'en-GB': linkedTags,
+          return {
+            nodeType: 'entry-hyperlink',
+            data: {
+              target: {
+                sys: { type: 'Link', linkType: 'Entry', id: entryId },
+              },
+            },
+            content: link.content,
           };
-          console.log(`✓ Linked ${linkedTags.length} tags`);
-        }
+        });
       }
+    }
 
-      if (postKey === 'featuredImage' && postValue > 0) {
-        // Check if we have contentImages and assets to work with
-        if (
-          post.contentImages &&
-          post.contentImages.length > 0 &&
-          assets.length > 0
-        ) {
-          // Debug: log contentImages structure
-          console.log(
-            `  Searching for featured image in ${post.contentImages.length} images`
-          );
-          console.log(
-            `  First image featured flag: ${post.contentImages[0]?.featured}`
-          );
-
-          // Find the image marked as featured, not just the first one
-          const featuredImageData = post.contentImages.find(
-            (img) => img.featured === true
-          );
+    if (linkCount === 0) {
+      return;
+    }
 
-          if (featuredImageData) {
-            const targetFileName = featuredImageData.link.split('/').pop();
-            let assetObj = assets.find(
-              (asset) => asset.fileName === targetFileName
-            );
-
-            if (assetObj) {
-              postFields.featuredImage = {
-                'en-GB': {
-                  sys: {
-                    type: 'Link',
-                    linkType: 'Asset',
-                    id: assetObj.assetId,
-                  },
-                },
-              };
-              console.log(`✓ Linked featured image: ${targetFileName}`);
-            } else {
-              console.warn(
-                `⚠ Could not find matching asset for: ${targetFileName}`
-              );
-              console.warn(
-                `  Available assets: ${assets
-                  .map((a) => a.fileName)
-                  .join(', ')}`
-              );
-            }
-          } else {
-            console.warn(
-              `⚠ No featured image found in contentImages for post: ${post.slug}`
-            );
-          }
-        } else {
-          console.warn(
-            `⚠ No assets available to link featured image for post: ${post.slug}`
-          );
-        }
-      }
+    try {
+      const entry = await upsertEntry(
+        environment,
+        post.contentType,
+        post.entryId,
+        fields
+      );
+      console.log(`✓ Linked ${linkCount} internal links in ${post.slug}`);
 
-      // No image and Contentful will fail if value is '0', so remove.
-      // ALSO remove if the value is still a number (WordPress ID) rather than a Contentful link
-      // But only delete if we haven't already set it to a proper Link object above
-      if (
-        postKey === 'featuredImage' &&
-        (postValue === 0 || typeof postValue === 'number')
-      ) {
-        // Check if we successfully set the featuredImage to a Link object
-        if (
-          !postFields.featuredImage ||
-          !postFields.featuredImage['en-GB']?.sys?.id
-        ) {
-          delete postFields.featuredImage;
-          console.log(`  Removing featuredImage field (no valid asset found)`);
-        }
+      if (post.report.status === 'published') {
+        await contentfulRequest(() => entry.publish());
       }
+    } catch (error) {
+      console.error(
+        `❌ Error linking internal links in ${post.slug}: ${error.message}`
+      );
+      post.report.status = 'draft';
+      post.report.publishError = error.message;
+      // So --resume doesn't skip it as published
+      recordState(post.wpType, post.wpId, {
+        phase: 'created',
+        publishError: error.message,
+      });
     }
-    promises.push(postFields);
-  }
-
-  console.log(`Post objects created, attempting to create entries...`);
-  createContentfulEntries(environment, promises).then((result) => {
-    console.log(logSeparator);
-    console.log(`Done!`);
-    console.log(logSeparator);
-    console.log(`The migration has completed.`);
-    console.log(logSeparator);
   });
 }
 
-/**
- * For each post data tree, publish a Contentful entry.
- * @param {String} environment - Name of Contentful Environment.
- * @param {Array} promises - data trees for Contentful posts.
- */
-function createContentfulEntries(environment, promises) {
-  return Promise.all(
-    promises.map(
-      (post, index) =>
-        new Promise(async (resolve) => {
-          let newPost;
-
-          console.log(`Attempting: ${post.slug['en-GB']}`);
-
-          setTimeout(() => {
-            try {
-              newPost = environment
-                .createEntry('pageBlogPost', {
-                  fields: post,
-                })
-                .then((entry) => {
-                  console.log(`Created draft: ${entry.fields.slug['en-GB']}`);
-
-                  // Try to publish, but if it fails due to missing required fields, leave as draft
-                  return entry
-                    .publish()
-                    .then((published) => {
-                      console.log(
-                        `Published: ${published.fields.slug['en-GB']}`
-                      );
-                      return published;
-                    })
-                    .catch((publishError) => {
-                      console.log(
-                        `Could not publish ${entry.fields.slug['en-GB']} - left as draft. Error: ${publishError.message}`
-                      );
-                      return entry;
-                    });
-                });
-            } catch (error) {
-              throw Error(error);
-            }
-
-            resolve(newPost);
-          }, 1000 + 5000 * index);
-        })
-    )
-  );
-}
-
 /**
  * Convert WordPress content to Contentful Rich Text
  * Ideally we'd be using Markdown here, but I like the RichText editor 🤡
@@ -1295,4 +6896,11 @@ function formatRichTextPost(content) {
   return markdown;
 }
 
-migrateContent();
+if (require.main === module) {
+  migrateContent()
+    .catch((error) => {
+      console.error(`❌ Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(reportFailedRequests);
+}